@@ -2,10 +2,10 @@
  * Sprite animation class (plays texture packer a atlas)
  *
  * - Uses a SpriteCache class to store the loaded textures.
- * - Requires a JSON hash format.
+ * - Supports JSON hash, JSON array, Phaser 3 multiatlas and Starling/Sparrow XML atlases, custom parsers can be registered.
  * - Multipacking is supported
  * - Trim is supported
- * - Rotation is NOT supported (yet)
+ * - Rotation is supported
  *
  *
  * @namespace
@@ -15,76 +15,158 @@
  */
 
 /*jslint browser: true, nomen: true, devel: true */
-/*global requirejs, define, window, document, $, _  */
+/*global requirejs, define, module, self, window, document, navigator, performance, Image, XMLHttpRequest, DOMParser, _  */
 
 
 (function (root, factory) {
 
+    // jQuery is optional, when it is present a $.fn.spriteAnimation plugin is added
     if (typeof define === 'function' && define.amd) {
-        define(['jquery'], function (b) {
-            return (root.amdWebGlobal = factory(b));
+        define([], function () {
+            return factory(root.jQuery);
         });
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root.jQuery);
     } else {
-        root.amdWebGlobal = factory(root.b);
+        root.SpriteAnimation = factory(root.jQuery);
     }
 
-} (this, function ($) {
+} (typeof self !== 'undefined' ? self : this, function ($) {
 
     'use strict';
 
+    // The number of instances created, numbers the instance ids
+    var instanceCount = 0;
+
     /**
      * Sprite Animation constructor.
      *
      * @param target {element} The DOM element which serves as the canvas container
      * @param autoAppend {boolean} Default: true, Automatically append to the target
      * @param ignoreAtlasScale {boolean} Default: true, Ignore the atlas scale meta
+     * @param ignoreRetina {boolean} Default: true, Ignore retina displays
+     * @param renderer {string|object} Optional: The name of a registered renderer or a renderer {supported, create}. By default the canvas renderer,
+     * or the DOM renderer when canvas is not supported
      * @returns {{load: Function, addAnimation: Function, play: Function, setOffset: Function, stop: Function, dispose: Function, setAnimation: Function, frame: Function, on: Function, one: Function, off: Function, cache: Function, canvasSupported: Function, isRetina: Function}}
      * @constructor
      */
-    var SpriteAnimation = function(target, autoAppend, ignoreAtlasScale, ignoreRetina) {
+    var SpriteAnimation = function(target, autoAppend, ignoreAtlasScale, ignoreRetina, renderer) {
 
-        var _target = target,
-            _eventDispatcher = $('<div></div>'),
+        var _id = 'sprite-animation-' + (instanceCount += 1),
+            _target = target && target.jquery ? target[0] : target,
+            _eventDispatcher = new SpriteEventEmitter(),
             _autoAppend = (autoAppend !== undefined && autoAppend !== null) ? autoAppend : true,
             _appended = false,
             _ignoreAtlasScale = (ignoreAtlasScale !== undefined && ignoreAtlasScale !== null) ? ignoreAtlasScale : true,
             _ignoreRetina = (ignoreRetina !== undefined && ignoreRetina !== null) ? ignoreRetina : true,
             _canvas,
-            _context,
+            _renderer,
+            _rendererType = renderer,
             _canvasSupport = true,
             _loaded = false,
             _ready = false,
             _hasLoadListener = false,
+            _pendingLoads = 0,
+            _atlasUrls = [],
+            _warnings = {},
             _animations = [],
+            _tagSources = [],
             _currentAnimation,
             _currentFrame,
-            _interval,
+            _frameTime = 0,
+            _playbackRate = 1,
+            _direction = 1,
+            _iteration = 1,
+            _finishLoop = false,
+            _queue = [],
+            _playback = null,
             _offset,
+            _fit = {mode: 'intrinsic'},
+            _layout,
+            _unwatchLayout = [],
+            _sources = [],
+            _unwatchVariants = null,
             _startOpacity,
+            _display = {
+                flipX: false,
+                flipY: false,
+                scaleX: 1,
+                scaleY: 1,
+                rotation: 0,
+                pivotX: 0.5,
+                pivotY: 0.5,
+                alpha: 1,
+                tint: null,
+                tintMode: 'multiply'
+            },
             _playing,
             _stopped,
             _ms,
             _spriteCache = SpriteCache.getInstance(),
+            _ticker = SpriteTicker.getInstance(),
 
             setupAnimation,
             setupAnimations,
+            setupTagAnimations,
+            resolveFrames,
+            getFrameData,
+            getFrameTag,
+            getDirectionOrder,
+            getFrameDelay,
+            getStep,
+            isFrameInRange,
+            hasNextIteration,
+            getPlayOptions,
+            queueSteps,
+            playNextStep,
+            isIdle,
+            settlePlayback,
+            getFrameDurations,
+            getFramePosition,
+            getAnimationLength,
             getFrameName,
+            getSelectorFrames,
+            getMatchingFrames,
+            getScopeFrames,
+            getSelectorName,
+            warn,
+            formatFrameName,
+            globToRegExp,
+            naturalCompare,
             getFrameAtlasIndex,
+            isInScope,
             onReady,
             createCanvas,
             appendCanvas,
             removeCanvas,
             setCanvasOffset,
             canvasSupported,
+            getRenderer,
             getMaxSize,
+            getFrameAnchor,
+            getFrameSize,
             playAnimation,
             setFrame,
+            drawFrame,
+            setDisplay,
+            getDisplay,
             dispatchEvent,
-            removeInterval,
+            onTick,
+            addTicker,
+            removeTicker,
             getFrameNumber,
             clearCanvas,
             setupLoadedListener,
             isRetina,
+            getPixelRatio,
+            getFrameScale,
+            getLayout,
+            updateLayout,
+            watchLayout,
+            unwatchLayout,
+            renderFrame,
+            switchVariants,
+            refreshAnimations,
             stop;
 
 
@@ -95,9 +177,11 @@
         setupAnimations = function () {
             var item;
 
+            setupTagAnimations();
+
             for (item in _animations) {
                 if (!_animations[item].setup) {
-                    setupAnimation(item, _animations[item].frameName, _animations[item].delimiter, _animations[item].startIndex, _animations[item].fps);
+                    setupAnimation(item, _animations[item].definition);
                 }
             }
 
@@ -109,24 +193,24 @@
          * Called by the setupAnimations() loop
          *
          * @param name {string} Name of the animation
-         * @param frameName {string} Frame name of the animation. For example animation_%%.png
-         * @param delimiter {string} Delimiter, corresponds to the delimiter used in the frameName, for example %
-         * @param startIndex {int} The number at which the frameNames start
-         * @param fps {int} The frames per second at which this animation should run
+         * @param definition {object} The animation definition, either a frame name pattern: {frameName, delimiter, startIndex, fps},
+         * a frame selector: {frames, pattern, start, end, step, match, fps} or a Aseprite tag: {tag, atlas, fps}.
+         * All can carry durations or holds per frame.
          */
 
-        setupAnimation = function (name, frameName, delimiter, startIndex, fps) {
+        setupAnimation = function (name, definition) {
             var animation = {
-                frameName: frameName,
-                delimiter: delimiter,
-                setup: false,
-                startIndex: startIndex,
-                fps: fps
-            };
+                    definition: definition,
+                    setup: false,
+                    fps: definition.fps
+                },
+                resolved;
+
             if (_animations[name]) {
 
                 if (_animations[name].shouldPlay) {
                     animation.shouldPlay = true;
+                    animation.playOptions = _animations[name].playOptions;
                 }
 
                 if (_animations[name].loop) {
@@ -135,27 +219,12 @@
             }
 
             if (_loaded) {
-                var frames = [],
-                    frameCount = startIndex,
-                    index,
-                    frame,
-                    frameData,
-                    max = 100000,
-                    atlas = _spriteCache.atlases();
+                resolved = resolveFrames(definition);
 
-                while ((frame = getFrameName(frameName, delimiter, frameCount), index = getFrameAtlasIndex(frame)) && index !== -1 && frameCount < max) {
-                    frameData = atlas[index].frames[frame];
-                    frameData.name = frame;
-                    frameData.image = atlas[index].meta.image;
-                    frameData.scale = atlas[index].meta.scale;
-                    frames.push(frameData);
-                    frameCount += 1;
-                }
-
-                animation.fps = fps;
                 animation.from = 0;
-                animation.to = frames.length - 1;
-                animation.frames = frames;
+                animation.to = resolved.frames.length - 1;
+                animation.frames = resolved.frames;
+                animation.durations = getFrameDurations(definition, resolved);
                 if (animation.loop === undefined) {
                     animation.loop = false;
                 }
@@ -168,955 +237,6044 @@
 
         }
 
+
         /**
-         * Get the altas index of a frameName
-         *
-         * @param frameName {string}
-         * @returns {number} Index of the atlas file
+         * Look up the frames of the set up animations again, after other atlas variants are loaded. The playback state is kept.
          */
 
-        getFrameAtlasIndex = function (frameName) {
-            var index = -1,
-                altas;
+        refreshAnimations = function () {
+            var name,
+                animation,
+                resolved;
 
-            for (altas in _spriteCache.atlases()) {
-                if (_spriteCache.atlases()[altas].frames[frameName]) {
-                    index = altas;
-                    break;
+            for (name in _animations) {
+                animation = _animations[name];
+
+                if (animation.frames) {
+                    resolved = resolveFrames(animation.definition);
+                    animation.frames = resolved.frames;
+                    animation.durations = getFrameDurations(animation.definition, resolved);
+                    animation.to = Math.min(animation.to, resolved.frames.length - 1);
                 }
             }
-
-            return index;
         }
 
 
         /**
-         * Convert the delimiter in the frameName to a actual frame in the atlas
-         *
-         * @param frameName {string} Frame name of the animation. For example animation_%%.png
-         * @param delimiter {String} Delimiter, corresponds to the delimiter used in the frameName, for example %
-         * @param frame {int} The frame index
-         * @returns {string} The actual frame in the atlas
+         * Load the atlas variants that match the current device pixel ratio, called when the pixel ratio changes.
+         * Once loaded the animations use the new variants and the variants that are no longer used are released.
          */
 
-        getFrameName = function (frameName, delimiter, frame) {
-            var minLength = frameName.split(delimiter).length - 1,
-                correctFrame = frame.toString(),
-                correctFrameName;
-
-            while (correctFrame.length < minLength) {
-                correctFrame = "0" + correctFrame;
-            }
+        switchVariants = function () {
+            _sources.forEach(function (source) {
+                var version = source.version = (source.version || 0) + 1;
 
+                _spriteCache.load(source.urls, source.retinaUrls, getPixelRatio(), extend({owner: _id}, source.options), function (error, loadedUrls) {
+                    var released;
 
-            correctFrameName = frameName.substr(0, frameName.indexOf(delimiter)) + correctFrame + frameName.substr(frameName.lastIndexOf(delimiter) + 1, frameName.length)
-            return correctFrameName;
-        }
+                    if (error) {
+                        dispatchEvent('sprite-animation:error', [error.url, error]);
+                        return;
+                    }
 
+                    if (version !== source.version || loadedUrls.join() === source.loaded.join()) {
+                        return;
+                    }
 
-        /**
-         * Convert a frameName to a frameNumber
-         *
-         * @param animation {string}
-         * @param frameName
-         * @returns {number}
-         */
+                    released = source.loaded.filter(function (url) {
+                        return loadedUrls.indexOf(url) === -1;
+                    });
 
-        getFrameNumber = function (animation, frameName) {
-            var i,
-                l;
+                    _atlasUrls = _atlasUrls.filter(function (url) {
+                        return released.indexOf(url) === -1;
+                    }).concat(loadedUrls.filter(function (url) {
+                        return _atlasUrls.indexOf(url) === -1;
+                    }));
 
-            for (i = 0, l = _animations[animation].frames.length; i < l; i += 1) {
-                if (_animations[animation].frames[i].name === frameName) {
-                    return i;
-                }
-            }
+                    source.loaded = loadedUrls;
+                    _spriteCache.release(released, _id);
 
-            return -1;
+                    refreshAnimations();
+                    updateLayout();
+                    dispatchEvent('sprite-animation:variant-change', [loadedUrls, released]);
+                });
+            });
         }
 
+
         /**
-         * Get the maxSize the canvas can be, loops through all the animation.
+         * Look up the frames of a animation definition in the cache
          *
-         * @returns {{w: number, h: number}}
+         * @param definition {object} The animation definition
+         * @returns {{frames: Array, durations: Array}} The frames and, if the atlas defines them, the duration of every frame in ms
          */
 
-        getMaxSize = function () {
-            var maxSize = {
-                    w: 0,
-                    h: 0
-                },
-                animation,
+        resolveFrames = function (definition) {
+            var frames = [],
+                durations = [],
+                frameCount = definition.startIndex,
                 index,
                 frame,
-                scale;
-
-            for (animation in _animations) {
-                for (index in _animations[animation].frames) {
-                    frame = _animations[animation].frames[index];
-                    if (frame.sourceSize.w > maxSize.w && frame.sourceSize.h > maxSize.h) {
-                        scale = _ignoreAtlasScale ? 1 : frame.scale;
+                max = 100000,
+                atlas,
+                tag,
+                order,
+                orderedFrames = [],
+                orderedDurations = [],
+                names,
+                i;
+
+            if (definition.tag !== undefined) {
+                atlas = _spriteCache.atlases()[definition.atlas];
+                tag = getFrameTag(atlas, definition.tag);
+
+                if (tag) {
+                    for (i = tag.from; i <= tag.to; i += 1) {
+                        frames.push(getFrameData(atlas.meta.frameNames[i], definition.atlas));
+                        durations.push(atlas.frames[atlas.meta.frameNames[i]].duration);
+                    }
 
-                        maxSize.w = frame.sourceSize.w / scale;
-                        maxSize.h = frame.sourceSize.h / scale;
+                    order = getDirectionOrder(frames.length, tag.direction);
+                    for (i = 0; i < order.length; i += 1) {
+                        orderedFrames.push(frames[order[i]]);
+                        orderedDurations.push(durations[order[i]]);
                     }
+
+                    return {frames: orderedFrames, durations: orderedDurations};
                 }
+
+                return {frames: frames};
             }
 
-            return maxSize;
-        }
+            if (definition.frameName === undefined) {
+                names = getSelectorFrames(definition);
 
+                for (i = 0; i < names.length; i += 1) {
+                    index = getFrameAtlasIndex(names[i], definition);
 
-        /**
-         * Clear the interval
-         */
+                    if (index !== -1) {
+                        frames.push(getFrameData(names[i], index));
+                    }
+                }
+
+                if (frames.length === 0) {
+                    warn('selector:' + getSelectorName(definition), 'the selector ' + getSelectorName(definition) + ' matches no frames in the atlases of the animation.');
+                }
+
+                return {frames: frames};
+            }
 
-        removeInterval = function () {
-            if (_interval) {
-                window.clearInterval(_interval);
-                _interval = null;
+            while ((frame = getFrameName(definition.frameName, definition.delimiter, frameCount), index = getFrameAtlasIndex(frame, definition)) && index !== -1 && frameCount < max) {
+                frames.push(getFrameData(frame, index));
+                frameCount += 1;
             }
+
+            return {frames: frames};
         }
 
 
         /**
-         * Called when everything is ready for animation
+         * Get the frame names of a animation defined by a selector. Frame numbers in a explicit frame list are
+         * formatted with the pattern, or without a pattern pick from the frames that match. Without a pattern and a match
+         * the numbers pick from the frames of the atlases in scope, in the order of the atlas.
+         *
+         * @param definition {{frames: Array, pattern: string, start: number, end: number, step: number, match: RegExp|string}}
+         * @returns {Array} The frame names in playing order, frames can be repeated
          */
 
-        onReady = function () {
-            var animation;
+        getSelectorFrames = function (definition) {
+            var names = [],
+                matching,
+                step = definition.step || 1,
+                frameNumber,
+                max = 100000,
+                i;
+
+            if (definition.frames) {
+                matching = definition.match !== undefined ? getMatchingFrames(definition) : getScopeFrames(definition);
+
+                for (i = 0; i < definition.frames.length; i += 1) {
+                    if (typeof definition.frames[i] !== 'number') {
+                        names.push(definition.frames[i]);
+                    } else if (definition.pattern !== undefined) {
+                        names.push(formatFrameName(definition.pattern, definition.frames[i]));
+                    } else if (matching[definition.frames[i]] !== undefined) {
+                        names.push(matching[definition.frames[i]]);
+                    } else {
+                        warn('selector:' + getSelectorName(definition) + ':' + definition.frames[i], 'frame ' + definition.frames[i] + ' of the selector ' + getSelectorName(definition) + ' is not found, there are ' + matching.length + ' frames.');
+                    }
+                }
 
-            _ready = true;
-            dispatchEvent('sprite-animation:ready');
+                return names;
+            }
 
-            for(animation in _animations) {
-                if (_animations[animation].shouldPlay) {
-                    playAnimation(animation, _animations[animation]);
-                    break;
+            if (definition.pattern !== undefined) {
+                frameNumber = definition.start !== undefined ? definition.start : 0;
+
+                // Frame numbers start at 0 or 1 when the start is not given
+                if (definition.start === undefined && definition.end === undefined && getFrameAtlasIndex(formatFrameName(definition.pattern, 0), definition) === -1) {
+                    frameNumber = 1;
+                }
+
+                // Without a end the range runs until the first frame that is missing
+                while (definition.end !== undefined ? (step > 0 ? frameNumber <= definition.end : frameNumber >= definition.end) : getFrameAtlasIndex(formatFrameName(definition.pattern, frameNumber), definition) !== -1) {
+                    names.push(formatFrameName(definition.pattern, frameNumber));
+                    frameNumber += step;
+
+                    if (names.length >= max) {
+                        break;
+                    }
                 }
+
+                return names;
             }
+
+            return getMatchingFrames(definition);
         }
 
 
         /**
-         * Create a new instance of a canvas
+         * Get the frame names in scope of a animation that match a glob or regular expression, in natural order
+         *
+         * @param definition {object} The animation definition
+         * @returns {Array} The frame names, for example walk_2.png before walk_10.png
          */
 
-        createCanvas = function () {
-            var dimensions = getMaxSize();
-
-            _canvas = $('<canvas width="' + dimensions.w + '" height="' + dimensions.h + '"></canvas>')[0];
-
-            if (isRetina()) {
-                $(_canvas).css({
-                    '-moz-transform': 'scale(0.5, 0.5)',
-                    '-ms-transform': 'scale(0.5, 0.5)',
-                    '-webkit-transform': 'scale(0.5, 0.5)',
-                    'transform': 'scale(0.5, 0.5)',
-                    '-moz-transform-origin': '0% 0%',
-                    '-ms-transform-origin': '0% 0%',
-                    '-webkit-transform-origin': '0% 0%',
-                    'transform-origin': '0% 0%'
-                });
+        getMatchingFrames = function (definition) {
+            var atlases = _spriteCache.atlases(),
+                expression = typeof definition.match === 'string' ? globToRegExp(definition.match) : definition.match,
+                names = [],
+                url,
+                frameName;
+
+            if (!expression) {
+                return names;
             }
 
-            if (_target && _autoAppend) {
-                appendCanvas();
+            for (url in atlases) {
+                if (atlases[url].frames && isInScope(url, definition)) {
+                    for (frameName in atlases[url].frames) {
+                        if (atlases[url].frames.hasOwnProperty(frameName) && names.indexOf(frameName) === -1) {
+                            expression.lastIndex = 0;
+
+                            if (expression.test(frameName)) {
+                                names.push(frameName);
+                            }
+                        }
+                    }
+                }
             }
 
-            _context = _canvas.getContext('2d');
+            return names.sort(naturalCompare);
         }
 
 
         /**
-         * Append the canvas instance to the target container. Empties the container in the process
+         * Get the frame names of the atlases in scope of a animation. Atlases that keep the frame order, like Aseprite and
+         * grid atlases, list their frames in that order, the frames of other atlases are in natural order.
+         *
+         * @param definition {object} The animation definition
+         * @returns {Array} The frame names
          */
 
-        appendCanvas = function () {
-            _appended = true;
-
-            $(_target).empty();
-            $(_target).append(_canvas);
+        getScopeFrames = function (definition) {
+            var atlases = _spriteCache.atlases(),
+                names = [],
+                url;
 
-            if (_offset) {
-                setCanvasOffset();
+            for (url in atlases) {
+                if (atlases[url].frames && isInScope(url, definition)) {
+                    (atlases[url].meta.frameNames || Object.keys(atlases[url].frames).sort(naturalCompare)).forEach(function (frameName) {
+                        if (names.indexOf(frameName) === -1) {
+                            names.push(frameName);
+                        }
+                    });
+                }
             }
 
-            dispatchEvent('sprite-animation:canvas-appended');
-            
+            return names;
         }
 
 
         /**
-         * Removes the canvas
+         * Describe the selector of a animation for warnings
+         *
+         * @param definition {object} The animation definition
+         * @returns {string}
          */
-        removeCanvas = function () {
-            if (_appended) {
-                $(_canvas).remove();
-                _canvas = null;
-                _context = null;
+
+        getSelectorName = function (definition) {
+            if (definition.match !== undefined) {
+                return String(definition.match);
             }
+
+            return definition.pattern !== undefined ? definition.pattern : '[' + definition.frames.join(', ') + ']';
         }
 
 
         /**
-         * Apply a offset to the canvas. The offset is relative
+         * Warn once about a problem in the animation setup
+         *
+         * @param key {string} Identifies the warning, every warning is shown once per instance
+         * @param message {string} The message
          */
 
-        setCanvasOffset = function () {
-            $(_canvas).css({
-                position: 'relative',
-                top: _offset.y + 'px',
-                left: _offset.x + 'px'
-            });
+        warn = function (key, message) {
+            if (!_warnings[key] && typeof console !== 'undefined') {
+                _warnings[key] = true;
+                console.warn('SpriteAnimation: ' + message);
+            }
         }
 
 
         /**
-         * Is canvas supported
+         * Format a frame number with a printf style pattern, for example walk/left/%04d. %d, %0Nd, %Nd and %% are supported.
          *
-         * @returns {boolean} Is canvas supported
+         * @param pattern {string} The frame name pattern
+         * @param frameNumber {number} The frame number
+         * @returns {string} The frame name
          */
 
-        canvasSupported = function () {
-            if (document.createElement('canvas').getContext === undefined) {
-                return false;
-            } else if (navigator.userAgent.match(/(Android (1.0|1.1|1.5|1.6|2.0|2.1))|(GT-P5110)|(Windows Phone (OS 7))|(XBLWP)|(ZuneWP)|(w(eb)?OSBrowser)|(webOS)|(Kindle\/(1.0|2.0|2.5|3.0))/)) {
-                return false;
-            }
+        formatFrameName = function (pattern, frameNumber) {
+            return pattern.replace(/%(%|(0?)(\d*)d)/g, function (match, conversion, zero, width) {
+                var value = String(Math.abs(frameNumber)),
+                    padding = zero ? '0' : ' ';
 
-            return true;
+                if (conversion === '%') {
+                    return '%';
+                }
+
+                while (value.length < (parseInt(width, 10) || 0) - (frameNumber < 0 ? 1 : 0)) {
+                    value = padding + value;
+                }
+
+                return (frameNumber < 0 ? '-' : '') + value;
+            });
         }
 
 
         /**
-         * Play a animation by name
+         * Convert a glob to a regular expression. * and ? do not match a /, ** matches anything.
          *
-         * @param animation {string} The name of the animation
-         * @param options {{from: {number}, to: {number}, loop: {number}}
+         * @param glob {string} For example walk/left_*.png
+         * @returns {RegExp}
          */
 
-        playAnimation = function (animation, options) {
-            options = options ? options : {};
-
-            if (_animations[animation]) {
-                if (_ready) {
-                    _animations[animation].from = options.from !== undefined ? options.from : 0;
-                    _animations[animation].to = options.to !== undefined ? options.to : _animations[animation].frames.length - 1;
-                    _animations[animation].loop = options.loop ? options.loop : false;
-
-                    _currentFrame = _animations[animation].from;
-                    _currentAnimation = animation;
-
-                    _playing = true;
-                    _stopped = false;
-                    _ms = (1000 / _animations[animation].fps);
-
-                    setFrame();
+        globToRegExp = function (glob) {
+            var source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*\*|\*|\?/g, function (wildcard) {
+                    return wildcard === '**' ? '.*' : (wildcard === '*' ? '[^/]*' : '[^/]');
+                });
 
-                } else {
-                    _animations[animation].shouldPlay = true;
-                    _animations[animation].from = options.from !== undefined ? options.from : undefined;
-                    _animations[animation].to = options.to !== undefined ? options.to : undefined;
-                    _animations[animation].loop = options.loop !== undefined ? options.loop : undefined;
-                }
-            }
+            return new RegExp('^' + source + '$');
         }
 
 
         /**
-         * Set the current frame to the canvas
+         * Compare two frame names, the numbers in the names are compared by value
+         *
+         * @param a {string}
+         * @param b {string}
+         * @returns {number}
          */
 
-        setFrame = function () {
-            if (!_stopped) {
-                if (_currentFrame < _animations[_currentAnimation].frames.length && _currentFrame <= _animations[_currentAnimation].to) {
-                    var frameData = _animations[_currentAnimation].frames[_currentFrame],
-                        frame = frameData.frame,
-                        image = _spriteCache.images()[frameData.image],
-                        scale = _ignoreAtlasScale ? 1 : frameData.scale;
-
-                    if (!_canvas) {
-                        createCanvas();
-                    }
+        naturalCompare = function (a, b) {
+            var partsA = a.split(/(\d+)/),
+                partsB = b.split(/(\d+)/),
+                difference,
+                i;
 
-                    clearCanvas();
-                    try {
-                        _context.drawImage(image, frame.x, frame.y, frame.w, frame.h, frameData.spriteSourceSize.x / scale, frameData.spriteSourceSize.y / scale, frame.w / scale, frame.h / scale);
+            for (i = 0; i < Math.min(partsA.length, partsB.length); i += 1) {
+                if (partsA[i] !== partsB[i]) {
+                    // Split puts the numbers at the odd positions
+                    if (i % 2 === 1) {
+                        difference = parseInt(partsA[i], 10) - parseInt(partsB[i], 10);
 
-                        if (_playing) {
-                            window.setTimeout(function () {
-                                _currentFrame += 1;
-                                setFrame();
-                            }, _ms);
+                        if (difference !== 0) {
+                            return difference;
                         }
-                    } catch (error) {
-                        throw new Error('Error drawing to context', error);
                     }
-                } else if (_animations[_currentAnimation].loop) {
-                    dispatchEvent('sprite-animation:animation-loop', _currentAnimation);
-                    _currentFrame = _animations[_currentAnimation].from;
-                    setFrame();
-                } else {
-                    _playing = false;
-                    dispatchEvent('sprite-animation:animation-done', _currentAnimation);
+
+                    return partsA[i] < partsB[i] ? -1 : 1;
                 }
             }
 
+            return partsA.length - partsB.length;
         }
 
 
         /**
-         * Clear the canvas
+         * Get the frame data of a frame in a atlas, ready for drawing
+         *
+         * @param frameName {string} The frame name in the atlas
+         * @param atlasIndex {string} The atlas index
+         * @returns {object} The frame data
          */
 
-        clearCanvas = function () {
-            if (_context) {
-                _context.clearRect(0, 0, _canvas.width, _canvas.height);
-            }
+        getFrameData = function (frameName, atlasIndex) {
+            var atlas = _spriteCache.atlases()[atlasIndex],
+                frameData = atlas.frames[frameName];
+
+            frameData.name = frameName;
+            frameData.image = frameData.image || atlas.meta.image;
+            frameData.scale = atlas.meta.scale;
+            frameData.resolution = atlas.meta.resolution || 1;
+            frameData.rotated = frameData.rotated === true;
+
+            return frameData;
         }
 
 
         /**
-         * Stop all animations
+         * Find a Aseprite frame tag in a atlas
          *
-         * @param clear {boolean} Clear canvas in the process
+         * @param atlas {object} The atlas
+         * @param name {string} The tag name
+         * @returns {{name: string, from: number, to: number, direction: string}} The tag or null
          */
 
-        stop = function (clear) {
+        getFrameTag = function (atlas, name) {
             var index;
 
-            _stopped = true;
-            _playing = false;
-
-            if (clear) {
-                clearCanvas();
+            if (atlas && atlas.meta && atlas.meta.frameTags) {
+                for (index = 0; index < atlas.meta.frameTags.length; index += 1) {
+                    if (atlas.meta.frameTags[index].name === name) {
+                        return atlas.meta.frameTags[index];
+                    }
+                }
             }
 
-            for (index in _animations) {
-                _animations[index].shouldPlay = false;
-            }
+            return null;
         }
 
 
+        /**
+         * Get the frame order for a Aseprite tag direction
+         *
+         * @param length {number} The number of frames in the tag
+         * @param direction {string} forward, reverse, pingpong or pingpong_reverse
+         * @returns {Array} The frame indexes in playing order
+         */
 
+        getDirectionOrder = function (length, direction) {
+            var order = [],
+                index;
 
+            for (index = 0; index < length; index += 1) {
+                order.push(index);
+            }
 
-        /**
-         * Dispatch a event
-         * @param event {string}
-         */
+            if (direction === 'reverse') {
+                order.reverse();
+            } else if (direction === 'pingpong' || direction === 'pingpong_reverse') {
+                // The outer frames are not repeated when the animation turns or loops
+                for (index = length - 2; index > 0; index -= 1) {
+                    order.push(index);
+                }
 
-        dispatchEvent = function (event, args) {
-            _eventDispatcher.trigger(event, args);
+                if (direction === 'pingpong_reverse') {
+                    order = order.slice(length - 1).concat(order.slice(0, length - 1));
+                }
+            }
+
+            return order;
         }
 
 
         /**
-         * Set the loaded listener
+         * Register every tag of the Aseprite atlases as animation
          */
 
-        setupLoadedListener = function () {
-            if (!_hasLoadListener) {
-                _hasLoadListener = true;
-                _spriteCache.one("sprite-cache:loaded", function () {
-                    _hasLoadListener = false;
-                    _loaded = true;
-                    setupAnimations();
-                });
+        setupTagAnimations = function () {
+            var atlases = _spriteCache.atlases(),
+                source,
+                url,
+                tag,
+                name,
+                sourceIndex,
+                index;
+
+            for (sourceIndex = 0; sourceIndex < _tagSources.length; sourceIndex += 1) {
+                source = _tagSources[sourceIndex];
+
+                for (url in atlases) {
+                    if (isInScope(url, source) && atlases[url].meta && atlases[url].meta.frameTags) {
+                        for (index = 0; index < atlases[url].meta.frameTags.length; index += 1) {
+                            tag = atlases[url].meta.frameTags[index];
+                            name = source.prefix + tag.name;
+
+                            if (!_animations[name] || _animations[name].pending) {
+                                _animations[name] = extend(_animations[name] || {}, {
+                                    definition: {tag: tag.name, atlas: url, fps: source.fps},
+                                    pending: false
+                                });
+                            }
+                        }
+                    }
+                }
+            }
+
+            for (name in _animations) {
+                if (_animations[name].pending) {
+                    delete _animations[name];
+                }
             }
         }
 
 
         /**
-         * Detect if is retina display
+         * Get the altas index of a frameName. Only the atlases in scope of the animation are searched,
+         * warns when the frame name is found in more than one of them.
+         *
+         * @param frameName {string}
+         * @param definition {object} Optional: The animation definition, can limit the scope to a atlas or namespace
+         * @returns {number} Index of the atlas file
          */
 
-        isRetina = function () {
+        getFrameAtlasIndex = function (frameName, definition) {
+            var index = -1,
+                matches = [],
+                atlases = _spriteCache.atlases(),
+                altas;
 
-            if(_ignoreRetina){
-                return false;
+            for (altas in atlases) {
+                if (atlases[altas].frames && atlases[altas].frames[frameName] && isInScope(altas, definition)) {
+                    matches.push(altas);
+                }
             }
 
-            //We need to make a exception specially for Microsoft...
-            if (navigator.userAgent.match(/(Windows Phone)/)) {
-                return (window.devicePixelRatio === undefined && Math.round(window.screen.availWidth / document.documentElement.clientWidth) > 1);
+            if (matches.length > 0) {
+                index = matches[0];
             }
 
-            return (window.devicePixelRatio !== undefined && window.devicePixelRatio > 1);
-        }
+            if (matches.length > 1) {
+                warn(frameName, 'frame "' + frameName + '" is found in the atlases ' + matches.join(', ') + ', using ' + index + '. Pass a atlas or namespace to addAnimation to choose.');
+            }
 
+            return index;
+        }
 
 
-        /*
-         * Public functions
+        /**
+         * Is a atlas in scope of a animation: the atlas or namespace of the animation if it defines one, otherwise the
+         * atlases this instance loaded. Instances that did not load atlases themselves use all atlases in the cache.
+         *
+         * @param url {string} The atlas url
+         * @param definition {object} Optional: The animation definition
+         * @returns {boolean}
          */
 
-        return {
+        isInScope = function (url, definition) {
+            var atlas = _spriteCache.atlases()[url];
 
-            /**
-             * Load a Atlas or multiple atlasses
-             *
-             * @param urls {string|array} A single or multiple JSON atlas files
-             * @param retinaUrls {string|array} A single or multiple JSON retina atlas files
-             */
-            load: function (urls, retinaUrls) {
-                if (!canvasSupported()) {
-                    _canvasSupport = false;
-                    $(_target).addClass('no-canvas');
-                    return;
-                }
+            if (definition && definition.atlas !== undefined) {
+                return definition.atlas === url;
+            }
+
+            if (definition && definition.namespace !== undefined) {
+                return !!(atlas && atlas.meta && atlas.meta.namespace === definition.namespace);
+            }
+
+            return _atlasUrls.length === 0 || _atlasUrls.indexOf(url) !== -1;
+        }
+
+
+        /**
+         * Convert the delimiter in the frameName to a actual frame in the atlas
+         *
+         * @param frameName {string} Frame name of the animation. For example animation_%%.png
+         * @param delimiter {String} Delimiter, corresponds to the delimiter used in the frameName, for example %
+         * @param frame {int} The frame index
+         * @returns {string} The actual frame in the atlas
+         */
+
+        getFrameName = function (frameName, delimiter, frame) {
+            var minLength = frameName.split(delimiter).length - 1,
+                correctFrame = frame.toString(),
+                correctFrameName;
+
+            while (correctFrame.length < minLength) {
+                correctFrame = "0" + correctFrame;
+            }
+
+
+            correctFrameName = frameName.substr(0, frameName.indexOf(delimiter)) + correctFrame + frameName.substr(frameName.lastIndexOf(delimiter) + 1, frameName.length)
+            return correctFrameName;
+        }
+
+
+        /**
+         * Convert a frameName to a frameNumber
+         *
+         * @param animation {string}
+         * @param frameName
+         * @returns {number}
+         */
+
+        getFrameNumber = function (animation, frameName) {
+            var i,
+                l;
+
+            if (!_animations[animation] || !_animations[animation].frames) {
+                return -1;
+            }
+
+            for (i = 0, l = _animations[animation].frames.length; i < l; i += 1) {
+                if (_animations[animation].frames[i].name === frameName) {
+                    return i;
+                }
+            }
+
+            return -1;
+        }
+
+        /**
+         * Get the maxSize the canvas can be in CSS pixels, loops through all the animation. The frames are lined up on their
+         * anchor, x and y are the shared registration point in the canvas. Without anchors it is the top left corner.
+         *
+         * @returns {{w: number, h: number, x: number, y: number}}
+         */
+
+        getMaxSize = function () {
+            var left = 0,
+                top = 0,
+                right = 0,
+                bottom = 0,
+                animation,
+                index,
+                frameData,
+                anchor,
+                size,
+                scale;
+
+            for (animation in _animations) {
+                for (index in _animations[animation].frames) {
+                    frameData = _animations[animation].frames[index];
+                    anchor = getFrameAnchor(animation, frameData);
+                    size = getFrameSize(frameData);
+                    scale = getFrameScale(frameData);
+
+                    left = Math.max(left, anchor.x / scale);
+                    top = Math.max(top, anchor.y / scale);
+                    right = Math.max(right, (size.w - anchor.x) / scale);
+                    bottom = Math.max(bottom, (size.h - anchor.y) / scale);
+                }
+            }
+
+            return {
+                w: left + right,
+                h: top + bottom,
+                x: left,
+                y: top
+            };
+        }
+
+
+        /**
+         * Get the anchor of a frame in atlas pixels from the top left of the untrimmed frame. The anchor of the animation
+         * overrides the pivot of the frame, frames without either are anchored at the top left.
+         *
+         * @param animation {string} The animation name
+         * @param frameData {object} The frame data as stored in the animation
+         * @returns {{x: number, y: number}}
+         */
+
+        getFrameAnchor = function (animation, frameData) {
+            var definition = _animations[animation] && _animations[animation].definition,
+                anchor = (definition && definition.anchor) || frameData.pivot,
+                size;
+
+            if (!anchor) {
+                return {x: 0, y: 0};
+            }
+
+            size = getFrameSize(frameData);
+
+            return {
+                x: anchor.x * size.w,
+                y: anchor.y * size.h
+            };
+        }
+
+
+        /**
+         * Get the unrotated size a frame occupies, including the trimmed area
+         *
+         * @param frameData {object} The frame data as stored in the animation
+         * @returns {{w: number, h: number}}
+         */
+
+        getFrameSize = function (frameData) {
+            var frame = frameData.frame,
+                offset = frameData.spriteSourceSize || {x: 0, y: 0},
+                sourceSize = frameData.sourceSize || {w: 0, h: 0};
+
+            // The frame width and height are always the unrotated size, only the region in the atlas is swapped
+            return {
+                w: Math.max(sourceSize.w, offset.x + frame.w),
+                h: Math.max(sourceSize.h, offset.y + frame.h)
+            };
+        }
+
+
+        /**
+         * Subscribe to the shared ticker, the time spent on the current frame starts at 0
+         */
+
+        addTicker = function () {
+            _frameTime = 0;
+            _ticker.add(onTick);
+        }
+
+
+        /**
+         * Unsubscribe from the shared ticker
+         */
+
+        removeTicker = function () {
+            _ticker.remove(onTick);
+        }
+
+
+        /**
+         * Called by the shared ticker. Advances as many frames as the elapsed time covers,
+         * so frames are skipped when the main thread stalls.
+         *
+         * @param time {number} The current time of the ticker clock in ms
+         * @param delta {number} The time elapsed since the previous tick in ms
+         */
+
+        onTick = function (time, delta) {
+            var frame = _currentFrame,
+                delay;
+
+            if (!_playing || _stopped) {
+                removeTicker();
+                return;
+            }
+
+            _frameTime += delta * Math.abs(_playbackRate);
+
+            while (_playing && !_stopped && _frameTime >= (delay = Math.max(getFrameDelay(_currentAnimation, _currentFrame), 1))) {
+                _frameTime -= delay;
+                _currentFrame += getStep();
+
+                if (!isFrameInRange()) {
+                    setFrame();
+                    frame = _currentFrame;
+                }
+            }
+
+            if (_playing && frame !== _currentFrame) {
+                setFrame();
+            }
+        }
+
+
+        /**
+         * Called when everything is ready for animation
+         */
+
+        onReady = function () {
+            var animation;
+
+            _ready = true;
+            dispatchEvent('sprite-animation:ready');
+
+            for(animation in _animations) {
+                if (_animations[animation].shouldPlay) {
+                    playAnimation(animation, _animations[animation].playOptions);
+                    break;
+                }
+            }
+        }
+
+
+        /**
+         * Create the renderer, its element is the canvas or the element of a other renderer
+         */
+
+        createCanvas = function () {
+            _layout = getLayout();
+            _renderer = getRenderer().create(_layout.width, _layout.height, _layout);
+            _canvas = _renderer.element;
+
+            watchLayout();
+
+            if (_target && _autoAppend && !_renderer.shared) {
+                appendCanvas();
+            }
+        }
+
+
+        /**
+         * Get the size of the canvas in CSS pixels and the scale and position of the animation in it, for the fit mode
+         *
+         * @returns {{width: number, height: number, scale: number, x: number, y: number, pixelRatio: number, content: {w: number, h: number}}}
+         */
+
+        getLayout = function () {
+            var content = getMaxSize(),
+                available,
+                layout = {
+                    width: content.w,
+                    height: content.h,
+                    scale: 1,
+                    x: 0,
+                    y: 0,
+                    pixelRatio: SpriteEnvironment.getInstance().devicePixelRatio(),
+                    content: content
+                };
+
+            if (_fit.mode === 'fixed') {
+                layout.width = _fit.width !== undefined ? _fit.width : content.w;
+                layout.height = _fit.height !== undefined ? _fit.height : content.h;
+            } else if (_fit.mode === 'contain' || _fit.mode === 'cover') {
+                available = _target ? SpriteEnvironment.getInstance().contentSize(_target) : {width: 0, height: 0};
+                layout.width = _fit.width || available.width || content.w;
+                layout.height = _fit.height || available.height || content.h;
+
+                if (content.w > 0 && content.h > 0) {
+                    layout.scale = Math[_fit.mode === 'contain' ? 'min' : 'max'](layout.width / content.w, layout.height / content.h);
+                }
+
+                layout.x = (layout.width - content.w * layout.scale) / 2;
+                layout.y = (layout.height - content.h * layout.scale) / 2;
+            }
+
+            return layout;
+        }
+
+
+        /**
+         * Apply a new layout to the renderer and draw the current frame again, called when the fit mode, the size of the target
+         * or the device pixel ratio changes
+         */
+
+        updateLayout = function () {
+            if (!_renderer) {
+                return;
+            }
+
+            _layout = getLayout();
+
+            if (_renderer.resize) {
+                _renderer.resize(_layout.width, _layout.height, _layout);
+            }
+
+            if (_canvas.style) {
+                _canvas.style.display = _fit.mode === 'contain' || _fit.mode === 'cover' ? 'block' : '';
+            }
+
+            renderFrame();
+        }
+
+
+        /**
+         * Follow the device pixel ratio, and the size of the target for the contain and cover fit modes
+         */
+
+        watchLayout = function () {
+            var environment = SpriteEnvironment.getInstance();
+
+            unwatchLayout();
+
+            _unwatchLayout.push(environment.watchPixelRatio(updateLayout));
+
+            if (_target && (_fit.mode === 'contain' || _fit.mode === 'cover')) {
+                _unwatchLayout.push(environment.observeResize(_target, updateLayout));
+            }
+        }
+
+
+        /**
+         * Stop following the device pixel ratio and the size of the target
+         */
+
+        unwatchLayout = function () {
+            while (_unwatchLayout.length > 0) {
+                _unwatchLayout.pop()();
+            }
+        }
+
+
+        /**
+         * Append the canvas instance to the target container. Empties the container in the process
+         */
+
+        appendCanvas = function () {
+            _appended = true;
+
+            while (_target.firstChild) {
+                _target.removeChild(_target.firstChild);
+            }
+            _target.appendChild(_canvas);
+
+            if (_offset) {
+                setCanvasOffset();
+            }
+
+            dispatchEvent('sprite-animation:canvas-appended');
+            
+        }
+
+
+        /**
+         * Removes the canvas. A shared canvas, of a stage, stays in place.
+         */
+        removeCanvas = function () {
+            if (_renderer) {
+                if (_appended && !_renderer.shared && _canvas.parentNode) {
+                    _canvas.parentNode.removeChild(_canvas);
+                }
+
+                if (_renderer.destroy) {
+                    _renderer.destroy();
+                }
+
+                _appended = false;
+                _canvas = null;
+                _renderer = null;
+            }
+        }
+
+
+        /**
+         * Apply a offset to the canvas. The offset is relative
+         */
+
+        setCanvasOffset = function () {
+            _canvas.style.position = 'relative';
+            _canvas.style.top = _offset.y + 'px';
+            _canvas.style.left = _offset.x + 'px';
+        }
+
+
+        /**
+         * Is canvas supported
+         *
+         * @returns {boolean} Is canvas supported
+         */
+
+        canvasSupported = function () {
+            return SpriteEnvironment.getInstance().canvasSupported();
+        }
+
+
+        /**
+         * Get the renderer of this instance: the one passed to the constructor, otherwise the first supported default renderer
+         *
+         * @returns {{supported: Function, create: Function}} The renderer or null if none is supported
+         */
+
+        getRenderer = function () {
+            var type = typeof _rendererType === 'string' ? renderers[_rendererType] : _rendererType,
+                index;
+
+            if (type) {
+                return !type.supported || type.supported() ? type : null;
+            }
+
+            for (index = 0; index < defaultRenderers.length; index += 1) {
+                type = renderers[defaultRenderers[index]];
+
+                if (type && type.supported()) {
+                    return type;
+                }
+            }
+
+            return null;
+        }
+
+
+        /**
+         * Play a animation by name
+         *
+         * @param animation {string} The name of the animation
+         * @param options {{from: {number}, to: {number}, loop: {boolean|number}, yoyo: {boolean}, playbackRate: {number}}}
+         */
+
+        playAnimation = function (animation, options) {
+            options = options ? options : {};
+
+            if (!_animations[animation] && !_ready && _tagSources.length > 0) {
+                // The animation may be one of the tags of a atlas that is not loaded yet
+                _animations[animation] = {pending: true};
+            }
+
+            if (_animations[animation]) {
+                if (_ready) {
+                    _animations[animation].from = options.from !== undefined ? options.from : 0;
+                    _animations[animation].to = options.to !== undefined ? options.to : _animations[animation].frames.length - 1;
+                    _animations[animation].loop = options.loop ? options.loop : false;
+                    _animations[animation].yoyo = options.yoyo === true;
+
+                    _playbackRate = options.playbackRate !== undefined ? options.playbackRate : 1;
+                    _direction = 1;
+
+                    if (options.startOpacity !== undefined) {
+                        _startOpacity = options.startOpacity;
+                        _display.alpha = _startOpacity;
+                    }
+
+                    _iteration = 1;
+                    _finishLoop = false;
+                    _currentAnimation = animation;
+                    _currentFrame = getStep() < 0 ? _animations[animation].to : _animations[animation].from;
+
+                    _playing = true;
+                    _stopped = false;
+                    _ms = (1000 / _animations[animation].fps);
+
+                    setFrame();
+                    addTicker();
+
+                } else {
+                    _animations[animation].shouldPlay = true;
+                    _animations[animation].playOptions = options;
+                    _animations[animation].loop = options.loop !== undefined ? options.loop : undefined;
+                }
+            }
+        }
+
+
+        /**
+         * Set the current frame to the canvas
+         */
+
+        setFrame = function () {
+            var animation,
+                frameTime;
+
+            if (!_stopped) {
+                if (isFrameInRange()) {
+                    renderFrame();
+                    dispatchEvent('sprite-animation:frame', [_currentAnimation, _currentFrame]);
+                } else if (hasNextIteration()) {
+                    animation = _animations[_currentAnimation];
+                    _iteration += 1;
+                    dispatchEvent('sprite-animation:animation-loop', _currentAnimation);
+
+                    if (animation.yoyo && animation.from !== animation.to) {
+                        // Turn around without showing the outer frame twice
+                        _direction = -_direction;
+                        _currentFrame = _currentFrame > animation.to ? animation.to - 1 : animation.from + 1;
+                    } else {
+                        _currentFrame = getStep() < 0 ? animation.to : animation.from;
+                    }
+
+                    setFrame();
+                } else {
+                    frameTime = _frameTime;
+                    _playing = false;
+                    removeTicker();
+                    dispatchEvent('sprite-animation:animation-done', _currentAnimation);
+
+                    if (_playback && _playback.animation === _currentAnimation) {
+                        settlePlayback(true);
+                    }
+
+                    // Start the next step in the same tick, so there is no gap between the animations
+                    if (!_playing && !_stopped && _queue.length > 0) {
+                        playNextStep();
+                        _frameTime = frameTime;
+
+                        if (_queue.length === 0) {
+                            dispatchEvent('sprite-animation:queue-empty');
+                        }
+                    }
+                }
+            }
+
+        }
+
+
+        /**
+         * Get the time a frame is shown
+         *
+         * @param animation {string} The name of the animation
+         * @param frame {number} The frame number
+         * @returns {number} The delay in ms
+         */
+
+        getFrameDelay = function (animation, frame) {
+            var durations = _animations[animation].durations;
+
+            if (durations && durations[frame] !== undefined) {
+                return durations[frame];
+            }
+
+            return _ms;
+        }
+
+
+        /**
+         * Get the frame step of the current animation, negative when playing in reverse
+         *
+         * @returns {number} 1 or -1
+         */
+
+        getStep = function () {
+            return _playbackRate < 0 ? -_direction : _direction;
+        }
+
+
+        /**
+         * Is the current frame within the range of the current animation
+         *
+         * @returns {boolean}
+         */
+
+        isFrameInRange = function () {
+            var animation = _animations[_currentAnimation];
+
+            return _currentFrame >= 0 && _currentFrame < animation.frames.length && _currentFrame >= animation.from && _currentFrame <= animation.to;
+        }
+
+
+        /**
+         * Should the current animation play another iteration. Loop is either a boolean or the total number of iterations,
+         * with yoyo every pass counts as a iteration.
+         *
+         * @returns {boolean}
+         */
+
+        hasNextIteration = function () {
+            var loop = _animations[_currentAnimation].loop;
+
+            if (_finishLoop) {
+                return false;
+            }
+
+            if (typeof loop === 'number') {
+                return _iteration < loop;
+            }
+
+            return loop === true;
+        }
+
+
+        /**
+         * Create the play options, converts frame names to frame numbers
+         *
+         * @param animation {string} The name of the animation
+         * @param loop {boolean|number} Loops the animation, or the number of times the animation plays
+         * @param from {int|string} The start frame
+         * @param to {int|string} The end frame
+         * @param options {object} Optional: The configuration object
+         * @returns {object} The play options
+         */
+
+        getPlayOptions = function (animation, loop, from, to, options) {
+            options = options !== undefined ? options : {};
+
+            if (typeof from === 'string') {
+                from = getFrameNumber(animation, from);
+                if (from === -1) {
+                    from = undefined;
+                }
+            }
+
+            if (typeof to === 'string') {
+                to = getFrameNumber(animation, to);
+                if (to === -1) {
+                    to = undefined;
+                }
+            }
+
+
+            options.loop = loop;
+            options.from = from;
+            options.to = to;
+
+            return options;
+        }
+
+
+        /**
+         * Add steps to the queue
+         *
+         * @param steps {string|object|array} A animation name, a step {animation, loop, from, to, playbackRate, yoyo} or a list of steps
+         */
+
+        queueSteps = function (steps) {
+            var index;
+
+            if (!Array.isArray(steps)) {
+                steps = [steps];
+            }
+
+            for (index = 0; index < steps.length; index += 1) {
+                _queue.push(typeof steps[index] === 'string' ? {animation: steps[index]} : steps[index]);
+            }
+        }
+
+
+        /**
+         * Play the next step in the queue
+         *
+         * @returns {boolean} A step was started
+         */
+
+        playNextStep = function () {
+            var step = _queue.shift(),
+                options;
+
+            if (!step) {
+                return false;
+            }
+
+            options = extend({}, step);
+            delete options.animation;
+
+            playAnimation(step.animation, getPlayOptions(step.animation, step.loop, step.from, step.to, options));
+
+            return true;
+        }
+
+
+        /**
+         * Settle the promise of the last play() call
+         *
+         * @param completed {boolean} The animation is done playing
+         * @param reason {string} Optional: Why the animation did not complete: stop, play, sequence or queue
+         */
+
+        settlePlayback = function (completed, reason) {
+            var playback = _playback;
+
+            if (playback) {
+                _playback = null;
+                playback.resolve({
+                    animation: playback.animation,
+                    completed: completed,
+                    reason: reason
+                });
+            }
+        }
+
+
+        /**
+         * Is nothing playing or waiting to be played
+         *
+         * @returns {boolean}
+         */
+
+        isIdle = function () {
+            var animation;
+
+            if (_ready) {
+                return !_playing;
+            }
+
+            for (animation in _animations) {
+                if (_animations[animation].shouldPlay) {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+
+        /**
+         * Get the duration of every frame of a animation. Explicit durations take precedence over holds,
+         * holds over the durations defined in the atlas.
+         *
+         * @param definition {object} The animation definition
+         * @param resolved {{frames: Array, durations: Array}} The resolved frames
+         * @returns {Array} The duration of every frame in ms, undefined if all frames use the fps
+         */
+
+        getFrameDurations = function (definition, resolved) {
+            var ms = 1000 / definition.fps,
+                durations = [],
+                index;
+
+            if (!definition.durations && !definition.holds && !resolved.durations) {
+                return undefined;
+            }
+
+            for (index = 0; index < resolved.frames.length; index += 1) {
+                if (definition.durations && definition.durations[index] !== undefined) {
+                    durations.push(definition.durations[index]);
+                } else if (definition.holds && definition.holds[index] !== undefined) {
+                    durations.push(definition.holds[index] * ms);
+                } else if (resolved.durations && resolved.durations[index] !== undefined) {
+                    durations.push(resolved.durations[index]);
+                } else {
+                    durations.push(ms);
+                }
+            }
+
+            return durations;
+        }
+
+
+        /**
+         * Convert a position on the timeline of a animation to a frame number. The position is expressed in frames
+         * at the fps of the animation, so held frames take up more than one position.
+         *
+         * @param animation {string} The name of the animation
+         * @param position {number} The position
+         * @returns {number} The frame number
+         */
+
+        getFramePosition = function (animation, position) {
+            var durations = _animations[animation].durations,
+                time = position * (1000 / _animations[animation].fps),
+                elapsed = 0,
+                index;
+
+            if (!durations) {
+                return Math.round(position);
+            }
+
+            for (index = 0; index < durations.length; index += 1) {
+                elapsed += durations[index];
+                if (time < elapsed) {
+                    return index;
+                }
+            }
+
+            return durations.length - 1;
+        }
+
+
+        /**
+         * Get the length of a animation in frames at the fps of the animation, held frames included
+         *
+         * @param animation {string} The name of the animation
+         * @returns {number} The length
+         */
+
+        getAnimationLength = function (animation) {
+            var durations = _animations[animation].durations,
+                total = 0,
+                index;
+
+            if (!durations) {
+                return _animations[animation].frames.length;
+            }
+
+            for (index = 0; index < durations.length; index += 1) {
+                total += durations[index];
+            }
+
+            return total / (1000 / _animations[animation].fps);
+        }
+
+
+        /**
+         * Draw the current frame, creates the canvas on the first frame
+         */
+
+        renderFrame = function () {
+            var frameData,
+                image;
+
+            if (!_animations[_currentAnimation] || !_animations[_currentAnimation].frames || !_animations[_currentAnimation].frames[_currentFrame]) {
+                return;
+            }
+
+            frameData = _animations[_currentAnimation].frames[_currentFrame];
+            image = _spriteCache.image(frameData.image);
+
+            if (!_canvas) {
+                createCanvas();
+            }
+
+            clearCanvas();
+            try {
+                // The image is gone when the atlas was flushed or evicted from the cache
+                if (image) {
+                    drawFrame(frameData, image);
+                }
+            } catch (error) {
+                throw new Error('Error drawing to context', error);
+            }
+        }
+
+
+        /**
+         * Draw a frame with the renderer
+         *
+         * @param frameData {object} The frame data as stored in the animation
+         * @param image {Image} The atlas image
+         */
+
+        drawFrame = function (frameData, image) {
+            var scale = getFrameScale(frameData),
+                anchor = getFrameAnchor(_currentAnimation, frameData),
+                offset = frameData.spriteSourceSize || {x: 0, y: 0},
+                // Move the frame so its anchor is on the registration point, the frame data is shared by all instances
+                shiftX = _layout.content.x * scale - anchor.x,
+                shiftY = _layout.content.y * scale - anchor.y;
+
+            if (shiftX !== 0 || shiftY !== 0) {
+                frameData = extend({}, frameData, {
+                    spriteSourceSize: extend({}, offset, {x: offset.x + shiftX, y: offset.y + shiftY})
+                });
+            }
+
+            _renderer.draw(frameData, image, scale, getDisplay());
+        }
+
+
+        /**
+         * Change a display property and draw the current frame again
+         *
+         * @param property {string} The property name
+         * @param value {*} The new value
+         */
+
+        setDisplay = function (property, value) {
+            if (_display[property] !== value) {
+                _display[property] = value;
+
+                if (_renderer) {
+                    renderFrame();
+                }
+            }
+        }
+
+
+        /**
+         * Get the display properties for the renderer, the pivot is converted to CSS pixels in the animation
+         *
+         * @returns {{flipX: boolean, flipY: boolean, scaleX: number, scaleY: number, rotation: number, alpha: number, tint: string, tintMode: string, originX: number, originY: number}}
+         */
+
+        getDisplay = function () {
+            var display = extend({}, _display);
+
+            display.originX = _display.pivotX * _layout.content.w;
+            display.originY = _display.pivotY * _layout.content.h;
+
+            return display;
+        }
+
+
+        /**
+         * Clear the canvas
+         */
+
+        clearCanvas = function () {
+            if (_renderer) {
+                _renderer.clear();
+            }
+        }
+
+
+        /**
+         * Stop all animations
+         *
+         * @param clear {boolean} Clear canvas in the process
+         */
+
+        stop = function (clear) {
+            var index;
+
+            _stopped = true;
+            _playing = false;
+            removeTicker();
+            settlePlayback(false, 'stop');
+
+            if (clear) {
+                clearCanvas();
+            }
+
+            for (index in _animations) {
+                _animations[index].shouldPlay = false;
+            }
+        }
+
+
+
+
+
+        /**
+         * Dispatch a event
+         * @param event {string}
+         */
+
+        dispatchEvent = function (event, args) {
+            _eventDispatcher.trigger(event, args);
+        }
+
+
+        /**
+         * Set the loaded listener. Instances that load atlases themselves are set up when their own load is done,
+         * instances that use atlases loaded by others wait until the cache is idle.
+         */
+
+        setupLoadedListener = function () {
+            if (!_hasLoadListener && _pendingLoads === 0) {
+                _hasLoadListener = true;
+                _spriteCache.idle(function () {
+                    _hasLoadListener = false;
+
+                    if (!_loaded && _pendingLoads === 0) {
+                        _loaded = true;
+                        setupAnimations();
+                    }
+                });
+            }
+        }
+
+
+        /**
+         * Detect if is retina display
+         */
+
+        isRetina = function () {
+
+            return getPixelRatio() > 1;
+        }
+
+
+        /**
+         * Get the device pixel ratio the atlas variant is picked for, 1 when retina is ignored
+         *
+         * @returns {number}
+         */
+
+        getPixelRatio = function () {
+            if(_ignoreRetina){
+                return 1;
+            }
+
+            return SpriteEnvironment.getInstance().devicePixelRatio();
+        }
+
+
+        /**
+         * Get the number of atlas pixels per CSS pixel of a frame: the resolution of the atlas variant, times the atlas scale
+         *
+         * @param frameData {object} The frame data as stored in the animation
+         * @returns {number}
+         */
+
+        getFrameScale = function (frameData) {
+            return (frameData.resolution || 1) * (_ignoreAtlasScale ? 1 : (frameData.scale || 1));
+        }
+
+
+
+        /*
+         * Public functions
+         */
+
+        return {
+
+            /**
+             * Load a Atlas or multiple atlasses
+             *
+             * @param urls {string|array|object} A single or multiple atlas files, the variants per resolution: {1: urls, 2: urls, 3: urls},
+             * or a list of variants: [{scale, urls, maxTextureSize, minMemory}]. The variant is picked for the device pixel ratio, see SpriteCache.load(),
+             * and switched when the pixel ratio changes.
+             * @param retinaUrls {string|array} A single or multiple retina atlas files, the variant for resolution 2
+             * @param options {{format: {string}, grid: {object}, namespace: {string}, timeout: {number}, retries: {number}}} Optional: The atlas format, detected when omitted,
+             * a grid descriptor for images without a atlas, a namespace animations can refer to, and load options, see SpriteCache.configure()
+             * @returns {Promise} Resolves with the SpriteAnimation instance when the atlases and images are in the cache, rejects with the cause on failure,
+             * or when no renderer is supported. See createPromise()
+             */
+            load: function (urls, retinaUrls, options) {
+                var self = this,
+                    error,
+                    source;
+
+                if (!getRenderer()) {
+                    // Nothing can be drawn, the instance does nothing like it did without canvas before the DOM renderer
+                    _canvasSupport = false;
+
+                    if (_target && (' ' + _target.className + ' ').indexOf(' no-canvas ') === -1) {
+                        _target.className += (_target.className ? ' ' : '') + 'no-canvas';
+                    }
+
+                    error = new Error('No renderer is supported');
+                    dispatchEvent('sprite-animation:error', [null, error]);
+
+                    return createPromise(function (resolve, reject) {
+                        reject(error);
+                    });
+                }
+
+                source = {
+                    urls: urls,
+                    retinaUrls: retinaUrls,
+                    options: options,
+                    loaded: []
+                };
+
+                _loaded = false;
+                _pendingLoads += 1;
+                _sources.push(source);
+
+                if (!_unwatchVariants && !_ignoreRetina) {
+                    _unwatchVariants = SpriteEnvironment.getInstance().watchPixelRatio(switchVariants);
+                }
+
+                return createPromise(function (resolve, reject) {
+                    self.cache().load(urls, retinaUrls, getPixelRatio(), extend({owner: _id}, options), function (error, loadedUrls) {
+                        var index;
+
+                        _pendingLoads -= 1;
+
+                        if (error) {
+                            dispatchEvent('sprite-animation:error', [error.url, error]);
+                            reject(error);
+                            return;
+                        }
+
+                        source.loaded = loadedUrls;
+
+                        for (index = 0; index < loadedUrls.length; index += 1) {
+                            if (_atlasUrls.indexOf(loadedUrls[index]) === -1) {
+                                _atlasUrls.push(loadedUrls[index]);
+                            }
+                        }
+
+                        if (_pendingLoads === 0) {
+                            _loaded = true;
+                            setupAnimations();
+                        }
+
+                        resolve(self);
+                    });
+                });
+            },
+
+
+            /**
+             * Add a animation to this SpriteAnimation instance. Either with a frame name and delimiter:
+             * addAnimation(name, frameName, delimiter, startIndex, fps, options), or with a frame selector:
+             * addAnimation(name, selector, fps, options)
+             *
+             * @param name {string} The name of the animation
+             * @param frameName {string|Array|RegExp|object} Frame name of the animation. For example animation_%%.png. Or a selector:
+             * a array of frame names, a glob or regular expression matching the frame names, a printf style pattern like walk_%04d.png,
+             * or {frames, pattern, start, end, step, match}
+             * @param delimiter {string} Delimiter, corresponds to the delimiter used in the frameName, for example %
+             * @param startIndex {int} The number at which the frameNames start
+             * @param fps {int} The frames per second at which this animation should run
+             * @param options {{durations: {array}, holds: {array|object}, atlas: {string}, namespace: {string}, anchor: {object}}} Optional: The duration in ms or the number of frames to hold, per frame number,
+             * and the atlas url or namespace to look the frames up in. By default frames are looked up in the atlases loaded by this instance.
+             * The anchor {x, y} relative to the frame size, 0.5, 1 is the bottom center, overrides the pivots of the frames.
+             */
+            addAnimation: function (name, frameName, delimiter, startIndex, fps, options) {
+                var definition;
+
+                if (_canvasSupport) {
+                    if (typeof delimiter === 'string') {
+                        definition = {
+                            frameName: frameName,
+                            delimiter: delimiter,
+                            startIndex: startIndex
+                        };
+                    } else {
+                        // Selector form, the arguments shift: (name, selector, fps, options)
+                        options = startIndex;
+                        fps = delimiter;
+
+                        if (Array.isArray(frameName)) {
+                            definition = {frames: frameName};
+                        } else if (Object.prototype.toString.call(frameName) === '[object RegExp]') {
+                            definition = {match: frameName};
+                        } else if (typeof frameName === 'string') {
+                            definition = /%0?\d*d/.test(frameName) ? {pattern: frameName} : {match: frameName};
+                        } else {
+                            definition = {
+                                frames: frameName.frames,
+                                pattern: frameName.pattern,
+                                start: frameName.start,
+                                end: frameName.end,
+                                step: frameName.step,
+                                match: frameName.match
+                            };
+                        }
+                    }
+
+                    options = options !== undefined ? options : {};
+
+                    setupAnimation(name, extend(definition, {
+                        fps: fps,
+                        durations: options.durations,
+                        holds: options.holds,
+                        atlas: options.atlas,
+                        namespace: options.namespace,
+                        anchor: options.anchor
+                    }));
+                }
+            },
+
+
+            /**
+             * Add every tag of the loaded Aseprite atlases as a animation. The animations are named after the tags
+             * and keep the per frame durations and the forward, reverse or pingpong direction of the tag.
+             *
+             * @param atlas {string} Optional: Only add the tags of this atlas url
+             * @param options {{prefix: {string}, fps: {number}, namespace: {string}}} Optional: A prefix for the animation names, the fps used for frames without a duration
+             * and a namespace to limit the atlases to. By default the atlases loaded by this instance are used.
+             */
+            addTagAnimations: function (atlas, options) {
+                if (_canvasSupport) {
+                    options = options !== undefined ? options : {};
+
+                    _tagSources.push({
+                        atlas: atlas !== null ? atlas : undefined,
+                        namespace: options.namespace,
+                        prefix: options.prefix !== undefined ? options.prefix : '',
+                        fps: options.fps !== undefined ? options.fps : 10
+                    });
+
+                    if (_loaded) {
+                        setupAnimations();
+                    } else {
+                        setupLoadedListener();
+                    }
+                }
+            },
+
+
+            /**
+             * Play a animation by name
+             *
+             * @param animation {string} The name of the animation
+             * @param loop {boolean|number} Loops the animation, or the number of times the animation plays
+             * @param from {int} The start frame
+             * @param to {int} The end frame
+             * @param options {{startOpacity: {number}, playbackRate: {number}, yoyo: {boolean}}} A optional configuration object.
+             * A negative playbackRate plays in reverse, yoyo turns around at the end of every loop instead of restarting.
+             * @returns {Promise} Resolves with {animation, completed, reason} when the animation is done, or when it is interrupted by stop(), another play(), sequence() or queue().
+             * See createPromise()
+             */
+            play: function (animation, loop, from, to, options) {
+                var promise;
+
+                if (!_canvasSupport) {
+                    return createPromise(function (resolve) {
+                        resolve({animation: animation, completed: false, reason: 'unsupported'});
+                    });
+                }
+
+                settlePlayback(false, 'play');
+
+                promise = createPromise(function (resolve) {
+                    _playback = {
+                        animation: animation,
+                        resolve: resolve
+                    };
+                });
+
+                _queue = [];
+                playAnimation(animation, getPlayOptions(animation, loop, from, to, options));
+
+                if (!_animations[animation]) {
+                    settlePlayback(false, 'unknown');
+                }
+
+                return promise;
+            },
+
+
+            /**
+             * Queue one or more animations, they play one after the other without a gap. Starts right away if nothing is playing.
+             * A step is a animation name or {animation, loop, from, to, playbackRate, yoyo}. A step that loops forever only
+             * ends by calling finishLoop().
+             *
+             * @param steps {string|object|array} A step or a list of steps
+             * @param options {{replace: {boolean}, finishLoop: {boolean}}} Optional: Replace the pending steps, finish the loop of the current animation
+             */
+            queue: function (steps, options) {
+                if (_canvasSupport) {
+                    options = options !== undefined ? options : {};
+
+                    if (options.replace) {
+                        _queue = [];
+                    }
+
+                    queueSteps(steps);
+
+                    if (isIdle()) {
+                        settlePlayback(false, 'queue');
+                        playNextStep();
+                    } else if (options.finishLoop) {
+                        _finishLoop = true;
+                    }
+                }
+            },
+
+
+            /**
+             * Play a sequence of animations, interrupts the current animation and replaces the pending steps
+             *
+             * @param steps {array} A list of steps, a step is a animation name or {animation, loop, from, to, playbackRate, yoyo}
+             */
+            sequence: function (steps) {
+                if (_canvasSupport) {
+                    _queue = [];
+                    queueSteps(steps);
+                    settlePlayback(false, 'sequence');
+                    playNextStep();
+                }
+            },
+
+
+            /**
+             * Let the current animation finish its current loop and then continue with the queue
+             */
+            finishLoop: function () {
+                _finishLoop = true;
+            },
+
+
+            /**
+             * Remove all pending steps from the queue, the current animation keeps playing
+             */
+            clearQueue: function () {
+                _queue = [];
+            },
+
+
+            /**
+             * Get the pending steps in the queue
+             *
+             * @returns {Array} The steps
+             */
+            queued: function () {
+                return _queue.slice();
+            },
+
+            /**
+             * Set or get the playback rate, can be changed while a animation is playing. A negative rate plays in reverse.
+             *
+             * @param rate {number} Optional: The playback rate
+             * @returns {number} The playback rate
+             */
+            playbackRate: function (rate) {
+                if (rate !== undefined && !isNaN(rate)) {
+                    _playbackRate = rate;
+                }
+
+                return _playbackRate;
+            },
+
+
+            /**
+             * Resume a stopped animation
+             */
+            resume: function () {
+                if (_canvasSupport) {
+                    if (_currentAnimation && _animations[_currentAnimation]) {
+                        _stopped = false;
+                        _playing = true;
+                        setFrame();
+                        addTicker();
+                    }
+                }
+            },
+
+
+            /**
+             * Apply a offset to the canvas. The offset is relative
+             *
+             * @param x {number} X offset
+             * @param y {number} Y offset
+             */
+            setOffset: function (x, y) {
+                if (_canvasSupport) {
+                    _offset = {
+                        x: x,
+                        y: y
+                    };
+
+                    if (_canvas && _appended) {
+                        setCanvasOffset();
+                    }
+                }
+            },
+
+
+            /**
+             * Set how the canvas is sized. intrinsic: the size of the largest frame, fixed: the given size with the animation
+             * at its own size, contain and cover: the given size or the size of the target, the animation is scaled to fit in or
+             * cover it and centered. The canvas follows the size of the target and the device pixel ratio.
+             *
+             * @param mode {string} intrinsic (Default), fixed, contain or cover
+             * @param width {number} Optional: The width in CSS pixels
+             * @param height {number} Optional: The height in CSS pixels
+             */
+            fit: function (mode, width, height) {
+                _fit = {
+                    mode: mode || 'intrinsic',
+                    width: width,
+                    height: height
+                };
+
+                if (_renderer) {
+                    watchLayout();
+                    updateLayout();
+                }
+            },
+
+
+            /**
+             * Stops the current animation
+             */
+            stop: function (clear) {
+                if (_canvasSupport) {
+                    stop(clear);
+                }
+            },
+
+
+            /**
+             * Disposes the SpriteAnimation instance
+             */
+            dispose: function () {
+                if (!_stopped) {
+                    this.stop();
+                }
+
+                clearCanvas();
+                removeCanvas();
+                unwatchLayout();
+
+                if (_unwatchVariants) {
+                    _unwatchVariants();
+                    _unwatchVariants = null;
+                }
+
+                _spriteCache.release(null, _id);
+            },
+
+
+            /**
+             * Sets the current animation
+             *
+             * @param animation {string} Animation name
+             */
+            setAnimation: function (animation) {
+                if (_canvasSupport) {
+                    _currentAnimation = animation;
+                }
+            },
+
+
+            /**
+             * Set's the current frame of the animation. Can be used as a TweenMax variable.
+             * For animations with durations or holds the frame number is a position on the timeline, tween it to length() to play the animation.
+             * @param frameNumber {number} The frame number
+             * @returns {number} Initially returns 0 for compatibility with TweenMax
+             */
+            frame: function (frameNumber) {
+                if (_canvasSupport) {
+                    if (!isNaN(frameNumber)) {
+                        _currentFrame = _currentAnimation && _animations[_currentAnimation] && _animations[_currentAnimation].frames ? getFramePosition(_currentAnimation, frameNumber) : Math.round(frameNumber);
+                        setFrame();
+                    } else {
+                        return 0;
+                    }
+                }
+            },
+
+
+            /**
+             * Set or get the horizontal flip, mirrors the animation around the pivot
+             *
+             * @param flip {boolean} Optional: Flip the animation
+             * @returns {boolean} The horizontal flip
+             */
+            flipX: function (flip) {
+                if (flip !== undefined) {
+                    setDisplay('flipX', !!flip);
+                }
+
+                return _display.flipX;
+            },
+
+
+            /**
+             * Set or get the vertical flip, mirrors the animation around the pivot
+             *
+             * @param flip {boolean} Optional: Flip the animation
+             * @returns {boolean} The vertical flip
+             */
+            flipY: function (flip) {
+                if (flip !== undefined) {
+                    setDisplay('flipY', !!flip);
+                }
+
+                return _display.flipY;
+            },
+
+
+            /**
+             * Set or get the horizontal scale around the pivot. Can be used as a TweenMax variable.
+             *
+             * @param scale {number} Optional: The scale
+             * @returns {number} The horizontal scale
+             */
+            scaleX: function (scale) {
+                if (scale !== undefined && !isNaN(scale)) {
+                    setDisplay('scaleX', scale);
+                }
+
+                return _display.scaleX;
+            },
+
+
+            /**
+             * Set or get the vertical scale around the pivot. Can be used as a TweenMax variable.
+             *
+             * @param scale {number} Optional: The scale
+             * @returns {number} The vertical scale
+             */
+            scaleY: function (scale) {
+                if (scale !== undefined && !isNaN(scale)) {
+                    setDisplay('scaleY', scale);
+                }
+
+                return _display.scaleY;
+            },
+
+
+            /**
+             * Set or get the rotation around the pivot, clockwise in degrees. Can be used as a TweenMax variable.
+             *
+             * @param degrees {number} Optional: The rotation
+             * @returns {number} The rotation
+             */
+            rotation: function (degrees) {
+                if (degrees !== undefined && !isNaN(degrees)) {
+                    setDisplay('rotation', degrees);
+                }
+
+                return _display.rotation;
+            },
+
+
+            /**
+             * Set or get the pivot the animation is flipped, scaled and rotated around, relative to the size of the animation
+             *
+             * @param x {number} Optional: The horizontal position, 0 is left, 1 is right (Default: 0.5)
+             * @param y {number} Optional: The vertical position, 0 is top, 1 is bottom (Default: 0.5)
+             * @returns {{x: number, y: number}} The pivot
+             */
+            pivot: function (x, y) {
+                if (x !== undefined && !isNaN(x)) {
+                    setDisplay('pivotX', x);
+                }
+
+                if (y !== undefined && !isNaN(y)) {
+                    setDisplay('pivotY', y);
+                }
+
+                return {x: _display.pivotX, y: _display.pivotY};
+            },
+
+
+            /**
+             * Set or get the opacity. Can be used as a TweenMax variable.
+             *
+             * @param alpha {number} Optional: The opacity between 0 and 1
+             * @returns {number} The opacity
+             */
+            alpha: function (alpha) {
+                if (alpha !== undefined && !isNaN(alpha)) {
+                    setDisplay('alpha', Math.min(Math.max(alpha, 0), 1));
+                }
+
+                return _display.alpha;
+            },
+
+
+            /**
+             * Set or get the tint. multiply darkens the frame with the color, color fills the frame with the color and keeps its
+             * transparency. The tint is drawn by the canvas renderers.
+             *
+             * @param color {string} Optional: A CSS color, null removes the tint
+             * @param mode {string} Optional: multiply (Default) or color
+             * @returns {string} The tint color
+             */
+            tint: function (color, mode) {
+                if (mode !== undefined) {
+                    setDisplay('tintMode', mode);
+                }
+
+                if (color !== undefined) {
+                    setDisplay('tint', color);
+                }
+
+                return _display.tint;
+            },
+
+
+            /**
+             * Get the length of a animation in frames at its fps, held frames and durations included
+             *
+             * @param animation {string} Optional: The animation name, defaults to the current animation
+             * @returns {number} The length
+             */
+            length: function (animation) {
+                animation = animation !== undefined ? animation : _currentAnimation;
+
+                if (_animations[animation] && _animations[animation].frames) {
+                    return getAnimationLength(animation);
+                }
+
+                return 0;
+            },
+
+
+            /**
+             * Add a listener to the SpriteAnimation instance
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            on: function (event, listener, scope) {
+                _eventDispatcher.on(event, listener, scope);
+            },
+
+
+            /**
+             * Add a listener to the SpriteAnimation instance ONCE
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            one: function (event, listener, scope) {
+                _eventDispatcher.one(event, listener, scope);
+            },
+
+
+            /**
+             * Remove a listener of the SpriteAnimation instance
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            off: function (event, listener, scope) {
+                _eventDispatcher.off(event, listener, scope);
+            },
+
+
+            /**
+             * Get a instance of the SpriteAnimation Cache. The Cache is shared throughout the different instances
+             *
+             * @returns {object} SpriteCache instance
+             */
+            cache: function () {
+                return SpriteCache.getInstance();
+            },
+
+
+            /**
+             * Get the instance of the SpriteTicker. The ticker is shared throughout the different instances
+             *
+             * @returns {object} SpriteTicker instance
+             */
+            ticker: function () {
+                return SpriteTicker.getInstance();
+            },
+
+
+            /**
+             * Get the instance of the SpriteEnvironment. The environment is shared throughout the different instances
+             *
+             * @returns {object} SpriteEnvironment instance
+             */
+            environment: function () {
+                return SpriteEnvironment.getInstance();
+            },
+
+
+            /**
+             * Get the canvas the frames are drawn on, or the element of a other renderer. Null until the first frame is drawn.
+             *
+             * @returns {HTMLCanvasElement}
+             */
+            canvas: function () {
+                return _canvas || null;
+            },
+
+
+
+            /**
+             * Is canvas supported by the device
+             *
+             * @returns {boolean} Canvas supported
+             */
+            canvasSupported: function () {
+                return canvasSupported();
+            },
+
+
+            /**
+             * Does the device have a retina display
+             *
+             * @returns {boolean} Retina display
+             */
+            isRetina: function () {
+                return isRetina();
+            },
+
+            /**
+             * Animation is stopped
+             * @returns {boolean}
+             */
+            stopped:  function () {
+                return _stopped;
+            },
+
+            /**
+             * Animation is playing
+             * @returns {boolean}
+             */
+            playing: function () {
+                return _playing;
+            }
+
+        }
+    }
+
+    var SpriteCache = function () {
+
+        "use strict";
+
+        if (SpriteCache._instance) {
+            return SpriteCache._instance;
+        }
+
+
+        var _eventDispatcher = new SpriteEventEmitter(),
+            _loaded = false,
+            _jobs = [],
+            _active = 0,
+            _loadOptions = {},
+            _options = {
+                timeout: 10000,
+                retries: 2,
+                retryDelay: 250,
+                backoff: 2,
+                concurrency: 4,
+                memoryBudget: 0,
+                lowMemory: 1
+            },
+            _atlases = [],
+            _images = [],
+            _pendingImages = {},
+            _imageAtlases = {},
+            _parsers = [],
+            _requests = [],
+            _idleCallbacks = [],
+            _errors = {},
+            _progress,
+            _references = {},
+            _lastUsed = {},
+            _usage = 0,
+
+            loadAtlas,
+            processQueue,
+            finishJob,
+            requestAtlas,
+            onLoadAtlasSuccess,
+            onLoadAtlasError,
+            onLoadAtlasImageSuccess,
+            onLoadAtlasImageError,
+            loadAtlasImage,
+            finishAtlas,
+            updateBytes,
+            getResourceSize,
+            resetProgress,
+            isLoading,
+            updateRequests,
+            retain,
+            release,
+            isReferenced,
+            touch,
+            getImageBytes,
+            getAtlasBytes,
+            getMemoryUsage,
+            removeAtlas,
+            enforceBudget,
+            getImageUrl,
+            resolveImages,
+            getVariants,
+            selectVariant,
+            getOption,
+            isRetryable,
+            retry,
+            registerParser,
+            getParser,
+            parseAtlas,
+            jsonHashParser,
+            jsonArrayParser,
+            phaserMultiAtlasParser,
+            starlingXmlParser,
+            asepriteParser,
+            createFrame,
+            createGridAtlas,
+            setupGridFrames,
+            addData,
+            getData,
+            onLoaded,
+            dispatchEvent;
+
+
+
+
+
+        /**
+         * Queue a atlas file for loading, atlases that are cached or loading are skipped
+         *
+         * @param url {string} The atlas url
+         */
+
+        loadAtlas = function (url) {
+            if (!getData(url)) {
+                delete _errors[url];
+                addData(url, 'loading');
+
+                _progress.total += 1;
+                _jobs.push({
+                    type: 'atlas',
+                    url: url,
+                    atlas: url,
+                    bytesLoaded: 0,
+                    bytesTotal: 0
+                });
+            }
+        }
+
+
+        /**
+         * Start queued jobs until the concurrency limit is reached
+         */
+
+        processQueue = function () {
+            var job;
+
+            while (_jobs.length > 0 && _active < _options.concurrency) {
+                job = _jobs.shift();
+                _active += 1;
+
+                if (job.type === 'atlas' && getOption(job.atlas, 'grid')) {
+                    // A grid spritesheet is only a image, there is no atlas file to request
+                    onLoadAtlasSuccess(job, null);
+                } else if (job.type === 'atlas') {
+                    requestAtlas(job, 0);
+                } else {
+                    loadAtlasImage(job, 0);
+                }
+            }
+        }
+
+
+        /**
+         * Called when a job succeeded or failed for good. Reports the progress and continues with the queue.
+         *
+         * @param job {object} The job
+         */
+
+        finishJob = function (job) {
+            _active -= 1;
+            _progress.loaded += 1;
+
+            dispatchEvent('sprite-cache:progress', [{
+                url: job.url,
+                loaded: _progress.loaded,
+                total: _progress.total,
+                bytesLoaded: _progress.bytesLoaded,
+                bytesTotal: _progress.bytesTotal
+            }]);
+
+            processQueue();
+
+            if (!isLoading()) {
+                onLoaded();
+            }
+        }
+
+
+        /**
+         * Request a atlas file, retries on network errors and timeouts
+         *
+         * @param job {object} The atlas job
+         * @param attempt {number} The number of failed attempts so far
+         */
+
+        requestAtlas = function (job, attempt) {
+            updateBytes(job, 0, 0);
+
+            SpriteEnvironment.getInstance().fetch(job.url, {
+                timeout: getOption(job.atlas, 'timeout'),
+                onProgress: function (loaded, total) {
+                    updateBytes(job, loaded, total);
+                }
+            }, function (error, data) {
+                if (!error) {
+                    onLoadAtlasSuccess(job, data);
+                } else if (isRetryable(error.code, error.status) && attempt < getOption(job.atlas, 'retries')) {
+                    retry(job.atlas, attempt, function () {
+                        requestAtlas(job, attempt + 1);
+                    });
+                } else {
+                    onLoadAtlasError(job.atlas, job.url, new Error('Failed to load atlas ' + job.url + ': ' + (error.status === 'timeout' ? error.status : (error.message || error.status))));
+                    finishJob(job);
+                }
+            });
+        }
+
+
+        /**
+         * When Atlas is loaded parse and store the atlas in our Cache and queue its images
+         *
+         * @param job {object} The atlas job
+         * @param data {string} The raw atlas, null for a grid spritesheet
+         */
+
+        onLoadAtlasSuccess = function (job, data) {
+            var url = job.url,
+                atlas,
+                image,
+                index;
+
+            try {
+                atlas = data === null ? createGridAtlas(url, getOption(url, 'grid')) : resolveImages(parseAtlas(data, getOption(url, 'format'), url), url);
+            } catch (error) {
+                onLoadAtlasError(url, url, new Error('Failed to parse atlas ' + url + ': ' + error.message));
+                finishJob(job);
+                return;
+            }
+
+            atlas.meta.namespace = getOption(url, 'namespace');
+            atlas.meta.resolution = getOption(url, 'resolution') || 1;
+            addData(url, atlas);
+            _pendingImages[url] = 0;
+
+            for (index = 0; index < atlas.meta.images.length; index += 1) {
+                image = atlas.meta.images[index];
+
+                if (!_images[image]) {
+                    _pendingImages[url] += 1;
+
+                    if (_imageAtlases[image]) {
+                        // Already loading for another atlas
+                        _imageAtlases[image].push(url);
+                    } else {
+                        _imageAtlases[image] = [url];
+                        _progress.total += 1;
+                        _jobs.push({
+                            type: 'image',
+                            name: image,
+                            url: image,
+                            atlas: url,
+                            bytesLoaded: 0,
+                            bytesTotal: 0
+                        });
+                    }
+                }
+            }
+
+            if (_pendingImages[url] === 0) {
+                finishAtlas(url);
+            }
+
+            finishJob(job);
+        }
+
+
+        /**
+         * Called when the atlas or one of its images can not be loaded. Removes the atlas from the cache, so a later load can try again.
+         *
+         * @param atlas {string} The atlas url
+         * @param url {string} The url that failed, the atlas or the image url
+         * @param error {Error} The cause
+         */
+
+        onLoadAtlasError = function (atlas, url, error) {
+            error.url = url;
+            error.atlas = atlas;
+            _errors[atlas] = error;
+            delete _atlases[atlas];
+            delete _pendingImages[atlas];
+
+            dispatchEvent('sprite-cache:error', [url, error]);
+            updateRequests();
+        }
+
+
+        /**
+         * Load a atlas image with the image loader of the environment
+         *
+         * @param job {object} The image job
+         * @param attempt {number} The number of failed attempts so far
+         */
+
+        loadAtlasImage = function (job, attempt) {
+            var environment = SpriteEnvironment.getInstance(),
+                settled = false,
+                timeout,
+                cancel,
+                settle;
+
+            settle = function (error, image) {
+                if (settled) {
+                    return;
+                }
+
+                settled = true;
+                environment.clearTimeout(timeout);
+
+                if (!error) {
+                    onLoadAtlasImageSuccess(job, image);
+                } else if (attempt < getOption(job.atlas, 'retries')) {
+                    retry(job.atlas, attempt, function () {
+                        loadAtlasImage(job, attempt + 1);
+                    });
+                } else {
+                    onLoadAtlasImageError(job, error);
+                }
+            };
+
+            if (getOption(job.atlas, 'timeout')) {
+                timeout = environment.setTimeout(function () {
+                    if (typeof cancel === 'function') {
+                        cancel();
+                    }
+                    settle('timeout');
+                }, getOption(job.atlas, 'timeout'));
+            }
+
+            cancel = environment.loadImage(job.url, function (error, image) {
+                settle(error ? 'error' : null, image);
+            });
+        }
+
+
+        /**
+         * Called when the image is loaded, stores the image in the cache and finishes the atlases waiting for it
+         *
+         * @param job {object} The image job
+         * @param image {Image} The image
+         */
+
+        onLoadAtlasImageSuccess = function (job, image) {
+            var atlases = _imageAtlases[job.name],
+                index;
+
+            addData(job.name, image);
+            touch(job.name);
+            delete _imageAtlases[job.name];
+
+            job.bytesTotal = getResourceSize(typeof image.src === 'string' ? image.src : job.url);
+            updateBytes(job, job.bytesTotal, job.bytesTotal);
+
+            for (index = 0; index < atlases.length; index += 1) {
+                if (_pendingImages[atlases[index]] !== undefined) {
+                    _pendingImages[atlases[index]] -= 1;
+
+                    if (_pendingImages[atlases[index]] === 0) {
+                        finishAtlas(atlases[index]);
+                    }
+                }
+            }
+
+            enforceBudget();
+            finishJob(job);
+        }
+
+
+        /**
+         * Called when the image can not be loaded, fails the atlases waiting for it
+         *
+         * @param job {object} The image job
+         * @param status {string} error or timeout
+         */
+
+        onLoadAtlasImageError = function (job, status) {
+            var atlases = _imageAtlases[job.name],
+                index;
+
+            delete _imageAtlases[job.name];
+
+            for (index = 0; index < atlases.length; index += 1) {
+                if (_pendingImages[atlases[index]] !== undefined) {
+                    onLoadAtlasError(atlases[index], job.url, new Error('Failed to load atlas image ' + job.url + ': ' + status));
+                }
+            }
+
+            finishJob(job);
+        }
+
+
+        /**
+         * Called when a atlas and all of its images are in the cache
+         *
+         * @param url {string} The atlas url
+         */
+
+        finishAtlas = function (url) {
+            if (_atlases[url].meta.grid) {
+                setupGridFrames(_atlases[url]);
+            }
+
+            delete _pendingImages[url];
+            updateRequests();
+        }
+
+
+        /**
+         * Update the bytes loaded of a job
+         *
+         * @param job {object} The job
+         * @param loaded {number} The bytes loaded
+         * @param total {number} The total bytes, 0 if unknown
+         */
+
+        updateBytes = function (job, loaded, total) {
+            _progress.bytesLoaded += loaded - job.bytesLoaded;
+            _progress.bytesTotal += total - job.bytesTotal;
+            job.bytesLoaded = loaded;
+            job.bytesTotal = total;
+        }
+
+
+        /**
+         * Get the transferred size of a loaded resource from the resource timing, images have no progress events
+         *
+         * @param url {string} The absolute url
+         * @returns {number} The size in bytes, 0 if unknown
+         */
+
+        getResourceSize = function (url) {
+            return SpriteEnvironment.getInstance().getResourceSize(url) || 0;
+        }
+
+
+        /**
+         * Reset the progress counters, called when the cache is done loading
+         */
+
+        resetProgress = function () {
+            _progress = {
+                loaded: 0,
+                total: 0,
+                bytesLoaded: 0,
+                bytesTotal: 0
+            };
+        }
+
+
+        /**
+         * Settle the load requests whose atlases are all in the cache or failed. A request rejects with the first failure.
+         */
+
+        updateRequests = function () {
+            var request,
+                done,
+                failed,
+                url,
+                index,
+                urlIndex;
+
+            for (index = _requests.length - 1; index >= 0; index -= 1) {
+                request = _requests[index];
+                done = true;
+                failed = null;
+
+                for (urlIndex = 0; urlIndex < request.urls.length; urlIndex += 1) {
+                    url = request.urls[urlIndex];
+
+                    if (_errors[url]) {
+                        failed = failed || _errors[url];
+                    } else if (!_atlases[url] || _atlases[url] === 'loading' || _pendingImages[url] !== undefined) {
+                        done = false;
+                    }
+                }
+
+                if (done) {
+                    _requests.splice(index, 1);
+
+                    if (request.callback) {
+                        request.callback(failed, failed ? undefined : request.urls);
+                    } else if (failed) {
+                        request.reject(failed);
+                    } else {
+                        request.resolve(request.urls);
+                    }
+                }
+            }
+        }
+
+
+        /**
+         * Add a reference from a owner, usually a SpriteAnimation instance, to a atlas. Referenced atlases are never evicted.
+         *
+         * @param url {string} The atlas url
+         * @param owner {string} The owner id
+         */
+
+        retain = function (url, owner) {
+            _references[url] = _references[url] || [];
+
+            if (_references[url].indexOf(owner) === -1) {
+                _references[url].push(owner);
+            }
+        }
+
+
+        /**
+         * Remove the reference of a owner to a atlas
+         *
+         * @param url {string} The atlas url
+         * @param owner {string} The owner id
+         */
+
+        release = function (url, owner) {
+            var index = _references[url] ? _references[url].indexOf(owner) : -1;
+
+            if (index !== -1) {
+                _references[url].splice(index, 1);
+            }
+
+            if (_references[url] && _references[url].length === 0) {
+                delete _references[url];
+            }
+        }
+
+
+        /**
+         * Is a atlas referenced by a owner
+         *
+         * @param url {string} The atlas url
+         * @returns {boolean}
+         */
+
+        isReferenced = function (url) {
+            return _references[url] !== undefined && _references[url].length > 0;
+        }
+
+
+        /**
+         * Mark a image as recently used
+         *
+         * @param name {string} The image url
+         */
+
+        touch = function (name) {
+            _usage += 1;
+            _lastUsed[name] = _usage;
+        }
+
+
+        /**
+         * Estimate the decoded size of a image, 4 bytes per pixel
+         *
+         * @param name {string} The image url
+         * @returns {number} The size in bytes
+         */
+
+        getImageBytes = function (name) {
+            var image = _images[name];
+
+            if (!image) {
+                return 0;
+            }
+
+            return (image.naturalWidth || image.width || 0) * (image.naturalHeight || image.height || 0) * 4;
+        }
+
+
+        /**
+         * Estimate the decoded size of the images of a atlas
+         *
+         * @param url {string} The atlas url
+         * @returns {number} The size in bytes
+         */
+
+        getAtlasBytes = function (url) {
+            var bytes = 0,
+                index;
+
+            if (_atlases[url] && _atlases[url].meta) {
+                for (index = 0; index < _atlases[url].meta.images.length; index += 1) {
+                    bytes += getImageBytes(_atlases[url].meta.images[index]);
+                }
+            }
+
+            return bytes;
+        }
+
+
+        /**
+         * Estimate the decoded size of all images in the cache
+         *
+         * @returns {number} The size in bytes
+         */
+
+        getMemoryUsage = function () {
+            var bytes = 0,
+                name;
+
+            for (name in _images) {
+                if (_images.hasOwnProperty(name)) {
+                    bytes += getImageBytes(name);
+                }
+            }
+
+            return bytes;
+        }
+
+
+        /**
+         * Remove a atlas and the images no other atlas uses
+         *
+         * @param url {string} The atlas url
+         */
+
+        removeAtlas = function (url) {
+            var images = _atlases[url].meta ? _atlases[url].meta.images : [],
+                used = {},
+                other,
+                index;
+
+            delete _atlases[url];
+
+            for (other in _atlases) {
+                if (_atlases[other].meta) {
+                    for (index = 0; index < _atlases[other].meta.images.length; index += 1) {
+                        used[_atlases[other].meta.images[index]] = true;
+                    }
+                }
+            }
+
+            for (index = 0; index < images.length; index += 1) {
+                if (!used[images[index]]) {
+                    delete _images[images[index]];
+                    delete _lastUsed[images[index]];
+                }
+            }
+        }
+
+
+        /**
+         * Evict unreferenced atlases, least recently used first, until the images fit in the memory budget
+         */
+
+        enforceBudget = function () {
+            var budget = _options.memoryBudget,
+                candidates = [],
+                lastUsed,
+                url,
+                index;
+
+            if (!budget || getMemoryUsage() <= budget) {
+                return;
+            }
+
+            for (url in _atlases) {
+                if (_atlases[url].meta && !isReferenced(url) && _pendingImages[url] === undefined) {
+                    lastUsed = 0;
+                    for (index = 0; index < _atlases[url].meta.images.length; index += 1) {
+                        lastUsed = Math.max(lastUsed, _lastUsed[_atlases[url].meta.images[index]] || 0);
+                    }
+
+                    candidates.push({url: url, lastUsed: lastUsed});
+                }
+            }
+
+            candidates.sort(function (a, b) {
+                return a.lastUsed - b.lastUsed;
+            });
+
+            for (index = 0; index < candidates.length && getMemoryUsage() > budget; index += 1) {
+                removeAtlas(candidates[index].url);
+                dispatchEvent('sprite-cache:evicted', [candidates[index].url]);
+            }
+        }
+
+
+        /**
+         * Are there queued or running jobs
+         *
+         * @returns {boolean}
+         */
+
+        isLoading = function () {
+            return _active > 0 || _jobs.length > 0;
+        }
+
+
+        /**
+         * Get a load option of a url, options passed to load() take precedence over the configured options
+         *
+         * @param url {string} The atlas url
+         * @param name {string} The option name
+         * @returns {*} The option value
+         */
+
+        getOption = function (url, name) {
+            if (_loadOptions[url] && _loadOptions[url][name] !== undefined) {
+                return _loadOptions[url][name];
+            }
+
+            return _options[name];
+        }
+
+
+        /**
+         * Get the variants of the atlases
+         *
+         * @param urls {string|array|object} A single or multiple atlas files, the urls per resolution: {1: urls, '2x': urls},
+         * or a list of variants: [{scale, urls, maxTextureSize, minMemory}]
+         * @param retinaUrls {string|array} Optional: The variant for resolution 2
+         * @returns {Array} The variants {scale, urls, maxTextureSize, minMemory}
+         */
+
+        getVariants = function (urls, retinaUrls) {
+            var variants = [],
+                key;
+
+            if (Array.isArray(urls) && urls.length > 0 && typeof urls[0] === 'object') {
+                variants = urls.map(function (variant) {
+                    return extend({}, variant, {scale: variant.scale || 1, urls: [].concat(variant.urls)});
+                });
+            } else if (typeof urls === 'object' && !Array.isArray(urls)) {
+                for (key in urls) {
+                    if (urls.hasOwnProperty(key)) {
+                        variants.push({scale: parseFloat(String(key).replace(/[^\d.]/g, '')) || 1, urls: [].concat(urls[key])});
+                    }
+                }
+            } else {
+                variants.push({scale: 1, urls: [].concat(urls)});
+            }
+
+            if (retinaUrls) {
+                variants.push({scale: 2, urls: [].concat(retinaUrls)});
+            }
+
+            return variants;
+        }
+
+
+        /**
+         * Pick the variant to load. Variants that need a larger texture or more memory than the device has are skipped,
+         * of the rest the smallest scale that is at least the pixel ratio is picked, or the largest. Of the variants with that
+         * scale the one with the largest textures wins. On low memory devices the pixel ratio counts as 1.
+         *
+         * @param variants {Array} The variants {scale, urls, maxTextureSize, minMemory}
+         * @param pixelRatio {number} The device pixel ratio
+         * @returns {object} The variant
+         */
+
+        selectVariant = function (variants, pixelRatio) {
+            var environment = SpriteEnvironment.getInstance(),
+                maxTextureSize = environment.maxTextureSize() || Infinity,
+                memory = environment.deviceMemory() || Infinity,
+                candidates,
+                scales,
+                scale = null,
+                best = null,
+                index;
+
+            candidates = variants.filter(function (variant) {
+                return (!variant.maxTextureSize || variant.maxTextureSize <= maxTextureSize) && (!variant.minMemory || variant.minMemory <= memory);
+            });
+
+            if (candidates.length === 0) {
+                // Nothing fits, the smallest variant has the best chance
+                candidates = variants.slice().sort(function (a, b) {
+                    return (a.scale - b.scale) || ((a.maxTextureSize || 0) - (b.maxTextureSize || 0));
+                }).slice(0, 1);
+            }
+
+            if (memory <= _options.lowMemory) {
+                pixelRatio = 1;
+            }
+
+            scales = candidates.map(function (variant) {
+                return variant.scale;
+            }).sort(function (a, b) {
+                return a - b;
+            });
+
+            for (index = 0; index < scales.length && scale === null; index += 1) {
+                if (scales[index] >= pixelRatio) {
+                    scale = scales[index];
+                }
+            }
+
+            if (scale === null) {
+                scale = scales[scales.length - 1];
+            }
+
+            candidates.forEach(function (variant) {
+                if (variant.scale === scale && (!best || (variant.maxTextureSize || Infinity) > (best.maxTextureSize || Infinity))) {
+                    best = variant;
+                }
+            });
+
+            return best;
+        }
+
+
+        /**
+         * Is a failed request worth retrying. Network errors, timeouts and server errors are, missing files are not.
+         *
+         * @param code {number} The HTTP status code
+         * @param status {string} timeout or error
+         * @returns {boolean}
+         */
+
+        isRetryable = function (code, status) {
+            return status === 'timeout' || !code || code >= 500;
+        }
+
+
+        /**
+         * Retry after a delay that grows with every attempt
+         *
+         * @param url {string} The atlas url
+         * @param attempt {number} The number of failed attempts so far
+         * @param callback {function} Called to retry
+         */
+
+        retry = function (url, attempt, callback) {
+            SpriteEnvironment.getInstance().setTimeout(callback, getOption(url, 'retryDelay') * Math.pow(getOption(url, 'backoff'), attempt));
+        }
+
+
+        /**
+         * Resolve a image name relative to the atlas url
+         *
+         * @param url {string} The atlas url
+         * @param image {string} The image name as defined in the atlas
+         * @returns {string} The image url
+         */
+
+        getImageUrl = function (url, image) {
+            if (url.lastIndexOf('/') === -1) {
+                return image;
+            }
+
+            return url.substr(0, url.lastIndexOf('/')) + '/' + image;
+        }
+
+
+        /**
+         * Replace the image names of a parsed atlas by the image urls. The images are cached by url, so variants in other
+         * directories that use the same image name get their own image.
+         *
+         * @param atlas {object} The parsed atlas
+         * @param url {string} The atlas url
+         * @returns {object} The atlas
+         */
+
+        resolveImages = function (atlas, url) {
+            var name;
+
+            atlas.meta.images = atlas.meta.images.map(function (image) {
+                return getImageUrl(url, image);
+            });
+            atlas.meta.image = atlas.meta.image !== undefined ? getImageUrl(url, atlas.meta.image) : undefined;
+
+            for (name in atlas.frames) {
+                if (atlas.frames.hasOwnProperty(name) && atlas.frames[name].image !== undefined) {
+                    atlas.frames[name].image = getImageUrl(url, atlas.frames[name].image);
+                }
+            }
+
+            return atlas;
+        }
+
+
+        /**
+         * Register a atlas parser. Parsers registered later take precedence during detection.
+         *
+         * @param name {string} The format name
+         * @param parser {{detect: Function, parse: Function}} detect(data) returns true if the parser understands the data, parse(data, url) returns the atlas
+         */
+
+        registerParser = function (name, parser) {
+            var index;
+
+            for (index = _parsers.length - 1; index >= 0; index -= 1) {
+                if (_parsers[index].name === name) {
+                    _parsers.splice(index, 1);
+                }
+            }
+
+            _parsers.unshift({
+                name: name,
+                detect: parser.detect,
+                parse: parser.parse
+            });
+        }
+
+
+        /**
+         * Get the parser for a format name, or detect the parser if no format is given
+         *
+         * @param data {object|Document} The decoded atlas
+         * @param format {string} Optional: The format name
+         * @returns {object} The parser or null
+         */
+
+        getParser = function (data, format) {
+            var index;
+
+            for (index = 0; index < _parsers.length; index += 1) {
+                if (format ? _parsers[index].name === format : _parsers[index].detect(data)) {
+                    return _parsers[index];
+                }
+            }
+
+            return null;
+        }
+
+
+        /**
+         * Decode and parse a raw atlas to the cache's internal format:
+         * {format: string, frames: {name: frame}, meta: {image: string, images: [string], scale: number}}
+         * Each frame holds the image it is drawn from.
+         *
+         * @param raw {string|object|Document} The raw atlas
+         * @param format {string} Optional: The format name, detected when omitted
+         * @param url {string} The atlas url
+         * @returns {object} The atlas
+         */
+
+        parseAtlas = function (raw, format, url) {
+            var data = raw,
+                parser,
+                atlas;
+
+            if (typeof raw === 'string') {
+                data = raw.trim().charAt(0) === '<' ? SpriteEnvironment.getInstance().parseXML(raw) : JSON.parse(raw);
+            }
+
+            parser = getParser(data, format);
+            if (!parser) {
+                throw new Error('No atlas parser found for ' + url + (format ? ' (' + format + ')' : ''));
+            }
+
+            atlas = parser.parse(data, url);
+            atlas.format = parser.name;
+            atlas.meta = atlas.meta || {};
+            atlas.meta.scale = atlas.meta.scale !== undefined ? atlas.meta.scale : 1;
+
+            if (!atlas.meta.images) {
+                atlas.meta.images = atlas.meta.image ? [atlas.meta.image] : [];
+            }
+
+            if (!atlas.meta.image) {
+                atlas.meta.image = atlas.meta.images[0];
+            }
+
+            return atlas;
+        }
+
+
+        /**
+         * Create a frame in the internal format
+         *
+         * @param source {object} A TexturePacker style frame: frame, rotated, trimmed, spriteSourceSize, sourceSize, and the pivot or anchor
+         * relative to the source size
+         * @param image {string} The image name the frame is drawn from
+         * @returns {object} The frame
+         */
+
+        createFrame = function (source, image) {
+            var frame = source.frame,
+                pivot = source.pivot || source.anchor;
+
+            return {
+                frame: {x: frame.x, y: frame.y, w: frame.w, h: frame.h},
+                rotated: source.rotated === true,
+                trimmed: source.trimmed === true,
+                spriteSourceSize: source.spriteSourceSize || {x: 0, y: 0, w: frame.w, h: frame.h},
+                sourceSize: source.sourceSize || {w: frame.w, h: frame.h},
+                pivot: pivot ? {x: pivot.x, y: pivot.y} : null,
+                image: image
+            };
+        }
+
+
+        /**
+         * Create the atlas of a grid spritesheet. The frames are added by setupGridFrames() once the size of the image is known.
+         *
+         * @param url {string} The image url
+         * @param grid {{cellWidth: number, cellHeight: number, margin: number, spacing: number, rows: number, columns: number, frameCount: number, prefix: string, scale: number}} The grid descriptor,
+         * the prefix defaults to the file name of the image without extension and a underscore
+         * @returns {object} The atlas
+         */
+
+        createGridAtlas = function (url, grid) {
+            var name = url.substr(url.lastIndexOf('/') + 1).replace(/\.[^.]*$/, '');
+
+            if (!grid.cellWidth && !grid.columns) {
+                throw new Error('a grid needs a cellWidth or a number of columns');
+            }
+
+            return {
+                format: 'grid',
+                frames: {},
+                meta: {
+                    image: url,
+                    images: [url],
+                    scale: grid.scale !== undefined ? grid.scale : 1,
+                    // The frames of grids without a prefix would overwrite each other in the frame table
+                    grid: extend({}, grid, {prefix: grid.prefix !== undefined ? grid.prefix : name + '_'}),
+                    frameNames: []
+                }
+            };
+        }
+
+
+        /**
+         * Add the frames of a grid spritesheet, row by row. The frames are named by their index, after the prefix.
+         * Without rows and a cell height the grid is a single row, the rows and columns default to as many as fit in the image.
+         *
+         * @param atlas {object} The grid atlas
+         */
+
+        setupGridFrames = function (atlas) {
+            var grid = atlas.meta.grid,
+                image = _images[atlas.meta.image],
+                width = image.naturalWidth || image.width,
+                height = image.naturalHeight || image.height,
+                margin = grid.margin || 0,
+                spacing = grid.spacing || 0,
+                cellWidth = grid.cellWidth || Math.floor((width - margin * 2 - spacing * (grid.columns - 1)) / grid.columns),
+                cellHeight = grid.cellHeight || (grid.rows ? Math.floor((height - margin * 2 - spacing * (grid.rows - 1)) / grid.rows) : height - margin * 2),
+                columns = grid.columns || Math.floor((width - margin * 2 + spacing) / (cellWidth + spacing)),
+                rows = grid.rows || Math.floor((height - margin * 2 + spacing) / (cellHeight + spacing)),
+                frameCount = Math.min(grid.frameCount || rows * columns, rows * columns),
+                name,
+                index;
+
+            for (index = 0; index < frameCount; index += 1) {
+                name = grid.prefix + index;
+
+                atlas.frames[name] = createFrame({
+                    frame: {
+                        x: margin + (index % columns) * (cellWidth + spacing),
+                        y: margin + Math.floor(index / columns) * (cellHeight + spacing),
+                        w: cellWidth,
+                        h: cellHeight
+                    }
+                }, atlas.meta.image);
+                atlas.meta.frameNames.push(name);
+            }
+        }
+
+
+        /**
+         * TexturePacker JSON Hash: {frames: {name: frame}, meta: {image, scale}}
+         */
+
+        jsonHashParser = {
+            detect: function (data) {
+                return !!(data && data.frames && !Array.isArray(data.frames) && data.meta);
+            },
+
+            parse: function (data) {
+                var frames = {},
+                    name;
+
+                for (name in data.frames) {
+                    if (data.frames.hasOwnProperty(name)) {
+                        frames[name] = createFrame(data.frames[name], data.meta.image);
+                    }
+                }
+
+                return {
+                    frames: frames,
+                    meta: {image: data.meta.image, scale: data.meta.scale}
+                };
+            }
+        };
+
+
+        /**
+         * TexturePacker JSON Array: {frames: [{filename, frame}], meta: {image, scale}}
+         */
+
+        jsonArrayParser = {
+            detect: function (data) {
+                return !!(data && Array.isArray(data.frames) && data.meta);
+            },
+
+            parse: function (data) {
+                var frames = {},
+                    index;
+
+                for (index = 0; index < data.frames.length; index += 1) {
+                    frames[data.frames[index].filename] = createFrame(data.frames[index], data.meta.image);
+                }
+
+                return {
+                    frames: frames,
+                    meta: {image: data.meta.image, scale: data.meta.scale}
+                };
+            }
+        };
+
+
+        /**
+         * Phaser 3 multiatlas: {textures: [{image, scale, frames: [{filename, frame}]}]}
+         */
+
+        phaserMultiAtlasParser = {
+            detect: function (data) {
+                return !!(data && Array.isArray(data.textures));
+            },
+
+            parse: function (data) {
+                var frames = {},
+                    images = [],
+                    scale = data.meta && data.meta.scale !== undefined ? data.meta.scale : undefined,
+                    texture,
+                    index,
+                    frameIndex;
+
+                for (index = 0; index < data.textures.length; index += 1) {
+                    texture = data.textures[index];
+                    images.push(texture.image);
+
+                    if (scale === undefined && texture.scale !== undefined) {
+                        scale = texture.scale;
+                    }
+
+                    for (frameIndex = 0; frameIndex < texture.frames.length; frameIndex += 1) {
+                        frames[texture.frames[frameIndex].filename] = createFrame(texture.frames[frameIndex], texture.image);
+                    }
+                }
+
+                return {
+                    frames: frames,
+                    meta: {images: images, scale: scale}
+                };
+            }
+        };
+
+
+        /**
+         * Starling/Sparrow XML: <TextureAtlas imagePath=""><SubTexture name="" x="" y="" width="" height="" /></TextureAtlas>
+         * The width and height of a rotated SubTexture describe the region in the atlas, frameX and frameY are negative trim offsets,
+         * pivotX and pivotY the pivot in pixels.
+         */
+
+        starlingXmlParser = {
+            detect: function (data) {
+                return !!(data && data.documentElement && data.documentElement.nodeName === 'TextureAtlas');
+            },
+
+            parse: function (data) {
+                var root = data.documentElement,
+                    image = root.getAttribute('imagePath'),
+                    subTextures = root.getElementsByTagName('SubTexture'),
+                    frames = {},
+                    number,
+                    node,
+                    rotated,
+                    w,
+                    h,
+                    index;
+
+                number = function (node, attribute, fallback) {
+                    var value = node.getAttribute(attribute);
+                    return value !== null && value !== '' ? parseFloat(value) : fallback;
+                };
+
+                for (index = 0; index < subTextures.length; index += 1) {
+                    node = subTextures[index];
+                    rotated = node.getAttribute('rotated') === 'true';
+                    w = rotated ? number(node, 'height', 0) : number(node, 'width', 0);
+                    h = rotated ? number(node, 'width', 0) : number(node, 'height', 0);
+
+                    frames[node.getAttribute('name')] = createFrame({
+                        frame: {x: number(node, 'x', 0), y: number(node, 'y', 0), w: w, h: h},
+                        rotated: rotated,
+                        trimmed: node.getAttribute('frameX') !== null,
+                        spriteSourceSize: {x: -number(node, 'frameX', 0), y: -number(node, 'frameY', 0), w: w, h: h},
+                        sourceSize: {w: number(node, 'frameWidth', w), h: number(node, 'frameHeight', h)},
+                        // The pivot is in pixels, the other formats use a fraction of the size
+                        pivot: node.getAttribute('pivotX') !== null ? {
+                            x: number(node, 'pivotX', 0) / number(node, 'frameWidth', w),
+                            y: number(node, 'pivotY', 0) / number(node, 'frameHeight', h)
+                        } : null
+                    }, image);
+                }
+
+                return {
+                    frames: frames,
+                    meta: {image: image, scale: 1}
+                };
+            }
+        };
+
+
+        /**
+         * Aseprite JSON, hash or array: {frames, meta: {app, image, frameTags: [{name, from, to, direction}]}}
+         * Keeps the frame order and the duration of every frame.
+         */
+
+        asepriteParser = {
+            detect: function (data) {
+                return !!(data && data.frames && data.meta && typeof data.meta.app === 'string' && data.meta.app.indexOf('aseprite') !== -1);
+            },
+
+            parse: function (data) {
+                var frames = {},
+                    frameNames = [],
+                    add,
+                    name,
+                    index;
+
+                add = function (name, source) {
+                    frames[name] = createFrame(source, data.meta.image);
+                    frames[name].duration = source.duration;
+                    frameNames.push(name);
+                };
+
+                if (Array.isArray(data.frames)) {
+                    for (index = 0; index < data.frames.length; index += 1) {
+                        add(data.frames[index].filename, data.frames[index]);
+                    }
+                } else {
+                    for (name in data.frames) {
+                        if (data.frames.hasOwnProperty(name)) {
+                            add(name, data.frames[name]);
+                        }
+                    }
+                }
+
+                return {
+                    frames: frames,
+                    meta: {
+                        image: data.meta.image,
+                        scale: data.meta.scale,
+                        frameNames: frameNames,
+                        frameTags: data.meta.frameTags || []
+                    }
+                };
+            }
+        };
+
+
+        resetProgress();
+
+        registerParser('starling-xml', starlingXmlParser);
+        registerParser('phaser-multiatlas', phaserMultiAtlasParser);
+        registerParser('json-array', jsonArrayParser);
+        registerParser('json-hash', jsonHashParser);
+        registerParser('aseprite', asepriteParser);
+
+
+        /**
+         * Add data to the SpriteCache
+         *
+         * @param url {string} URL of the data
+         * @param data {json|Image} Data, images are anything with a size that can be drawn: a Image, canvas or node-canvas image
+         */
+        addData = function (url, data) {
+            if (data && typeof data === 'object' && !data.frames && data.width !== undefined && data.height !== undefined) {
+                getImageId(data);
+                _images[url] = data;
+            } else {
+                _atlases[url] = data;
+            }
+        }
+
+
+        /**
+         * Get data from the SpriteCache
+         *
+         * @param url
+         */
+
+        getData = function (url) {
+            if (_atlases[url]) {
+                return _atlases[url];
+            } else if (_images[url]) {
+                return _images[url];
+            }
+
+            return null;
+        }
+
+
+        /**
+         * Called when done loading
+         */
+        onLoaded = function () {
+            var callbacks = _idleCallbacks,
+                index;
+
+            _loaded = true;
+            _idleCallbacks = [];
+            resetProgress();
+            dispatchEvent('sprite-cache:loaded');
+
+            for (index = 0; index < callbacks.length; index += 1) {
+                callbacks[index]();
+            }
+        }
+
+
+        /**
+         * Dispatch a event
+         * @param event {string}
+         */
+
+        dispatchEvent = function (event, args) {
+            _eventDispatcher.trigger(event, args);
+        }
+
+
+        SpriteCache._instance = {
+
+            /**
+             * Load a Atlas or multiple atlasses
+             *
+             * @param urls {string|array|object} A single or multiple atlas files, the variants per resolution: {1: urls, 2: urls, 3: urls},
+             * or a list of variants tagged by scale, texture size and memory: [{scale, urls, maxTextureSize, minMemory}]
+             * @param retinaUrls {string|array} A single or multiple retina atlas files, the variant for resolution 2
+             * @param isRetina {boolean|number} Load the retina atlas files, or the device pixel ratio to pick the variant for, see selectVariant()
+             * @param options {{format: {string}, grid: {object}, namespace: {string}, owner: {string}, timeout: {number}, retries: {number}, retryDelay: {number}, backoff: {number}}} Optional: The atlas format, detected when omitted,
+             * a grid descriptor to load images as grid spritesheets: {cellWidth, cellHeight, margin, spacing, rows, columns, frameCount, prefix, scale},
+             * the namespace of the atlases, the owner the atlases are retained for and load options that override the configured options for these urls
+             * @param callback {function} Optional: Called with the error or null and the loaded urls instead of returning a Promise
+             * @returns {Promise} Resolves with the loaded urls as soon as these atlases and their images are in the cache, right away if they are cached.
+             * Rejects with the cause if one of them fails, or when one of them is in the cache with a other namespace. Undefined when a callback is passed, see createPromise()
+             */
+            load: function (urls, retinaUrls, isRetina, options, callback) {
+                var variant = selectVariant(getVariants(urls, retinaUrls), isRetina === true ? 2 : (isRetina || 1)),
+                    loadUrls = variant.urls,
+                    resolution = variant.scale,
+                    namespace = options ? options.namespace : undefined,
+                    conflict = null,
+                    current,
+                    promise,
+                    index;
+
+                // A atlas is parsed once, so it keeps the namespace it was loaded with while it is in the cache
+                for (index = 0; index < loadUrls.length && !conflict; index += 1) {
+                    current = getData(loadUrls[index]) && _loadOptions[loadUrls[index]] ? _loadOptions[loadUrls[index]].namespace : undefined;
+
+                    if (namespace !== undefined && current !== undefined && namespace !== current) {
+                        conflict = new Error('Atlas ' + loadUrls[index] + ' is already loaded in the namespace ' + current + ', not ' + namespace);
+                        conflict.url = loadUrls[index];
+                        conflict.atlas = loadUrls[index];
+                    }
+                }
+
+                if (conflict) {
+                    dispatchEvent('sprite-cache:error', [conflict.url, conflict]);
+
+                    if (callback) {
+                        callback(conflict);
+                        return undefined;
+                    }
+
+                    return createPromise(function (resolve, reject) {
+                        reject(conflict);
+                    });
+                }
+
+                for (index = 0; index < loadUrls.length; index += 1) {
+                    current = getData(loadUrls[index]) && _loadOptions[loadUrls[index]] ? _loadOptions[loadUrls[index]].namespace : undefined;
+                    _loadOptions[loadUrls[index]] = extend({}, options, {resolution: resolution, namespace: namespace !== undefined ? namespace : current});
+
+                    if (options && options.owner !== undefined) {
+                        retain(loadUrls[index], options.owner);
+                    }
+                }
+
+                if (callback) {
+                    _requests.push({
+                        urls: loadUrls.slice(),
+                        callback: callback
+                    });
+                } else {
+                    promise = createPromise(function (resolve, reject) {
+                        _requests.push({
+                            urls: loadUrls.slice(),
+                            resolve: resolve,
+                            reject: reject
+                        });
+                    });
+                }
+
+                for (index = 0; index < loadUrls.length; index += 1) {
+                    loadAtlas(loadUrls[index]);
+                }
+
+                updateRequests();
+                processQueue();
+
+                if (!isLoading()) {
+                    onLoaded();
+                }
+
+                return promise;
+            },
+
+
+            /**
+             * Add data to the SpriteCache instance
+             *
+             * @param url {string} The url of the data object
+             * @param value {json|image}
+             */
+            add: function (url, value) {
+                addData(url, value);
+            },
+
+
+            /**
+             * Get data from the SpriteCache instance
+             * @param url {string} The url of the data object
+             * @returns {json|Image}
+             */
+            get: function (url) {
+                if (getData[url]) {
+                    return getData[url];
+                }
+                return null;
+            },
+
+            /**
+             * Wait until the cache is done loading
+             *
+             * @param callback {function} Optional: Called when nothing is loading, after the current task if the cache is idle
+             * @returns {Promise} Resolves when nothing is loading, right away if the cache is idle. See createPromise()
+             */
+            idle: function (callback) {
+                return createPromise(function (resolve) {
+                    if (isLoading()) {
+                        _idleCallbacks.push(function () {
+                            if (callback) {
+                                callback();
+                            }
+
+                            resolve();
+                        });
+                    } else {
+                        resolve();
+
+                        // Like a then() callback, so loads started in the same task are waited for
+                        if (callback) {
+                            SpriteEnvironment.getInstance().setTimeout(callback, 0);
+                        }
+                    }
+                });
+            },
+
+
+            /**
+             * Configure loading
+             *
+             * @param options {{timeout: {number}, retries: {number}, retryDelay: {number}, backoff: {number}, concurrency: {number}, memoryBudget: {number}, lowMemory: {number}}} The timeout per request in ms (Default: 10000, 0 disables it),
+             * the number of retries (Default: 2), the delay before the first retry in ms (Default: 250), the factor the delay grows with on every retry (Default: 2),
+             * the number of files loaded at the same time, at least 1 (Default: 4), the estimated decoded bytes of images the cache keeps before it evicts unreferenced atlases (Default: 0, no limit)
+             * and the device memory in GB at or below which atlas variants are picked as if the pixel ratio is 1 (Default: 1)
+             */
+            configure: function (options) {
+                extend(_options, options);
+
+                // Without at least one slot the queued jobs would never start
+                _options.concurrency = Math.max(Math.floor(_options.concurrency) || 1, 1);
+
+                enforceBudget();
+                processQueue();
+            },
+
+
+            /**
+             * Register a atlas parser for a custom format
+             *
+             * @param name {string} The format name, can be passed as format when loading
+             * @param parser {{detect: Function, parse: Function}} detect(data) returns true if the parser understands the decoded data, parse(data, url) returns {frames: {name: {frame, rotated, trimmed, spriteSourceSize, sourceSize, image}}, meta: {image, images, scale}}
+             */
+            registerParser: function (name, parser) {
+                registerParser(name, parser);
+            },
+
+
+            /**
+             * Parse a decoded or raw atlas to the internal atlas format
+             *
+             * @param data {string|object|Document} The atlas
+             * @param format {string} Optional: The format name, detected when omitted
+             * @param url {string} Optional: The url of the atlas
+             * @returns {object} The atlas
+             */
+            parse: function (data, format, url) {
+                return parseAtlas(data, format, url);
+            },
+
+            /**
+             *  Return the SpriteCache atlases
+             *
+             * @returns {Array} Atlases in cache
+             */
+            atlases: function () {
+                return _atlases;
+            },
+
+
+            /**
+             * Return the SpriteCache images
+             *
+             * @returns {Array} Images in cache
+             */
+            images: function () {
+                return _images
+            },
+
+
+            /**
+             * Get a image from the cache and mark it as recently used
+             *
+             * @param name {string} The image url, as in the frame data
+             * @returns {Image} The image or undefined
+             */
+            image: function (name) {
+                if (_images[name]) {
+                    touch(name);
+                }
+
+                return _images[name];
+            },
+
+
+            /**
+             * Retain atlases for a owner, retained atlases are never evicted or flushed
+             *
+             * @param urls {string|array} The atlas urls
+             * @param owner {string} The owner id
+             */
+            retain: function (urls, owner) {
+                var index;
+
+                urls = typeof urls === 'string' ? [urls] : urls;
+                for (index = 0; index < urls.length; index += 1) {
+                    retain(urls[index], owner);
+                }
+            },
+
+
+            /**
+             * Release atlases of a owner, unreferenced atlases are evicted when the cache exceeds its memory budget
+             *
+             * @param urls {string|array} Optional: The atlas urls, all atlases of the owner when omitted
+             * @param owner {string} The owner id
+             */
+            release: function (urls, owner) {
+                var url,
+                    index;
+
+                if (urls === undefined || urls === null) {
+                    for (url in _references) {
+                        if (_references.hasOwnProperty(url)) {
+                            release(url, owner);
+                        }
+                    }
+                } else {
+                    urls = typeof urls === 'string' ? [urls] : urls;
+                    for (index = 0; index < urls.length; index += 1) {
+                        release(urls[index], owner);
+                    }
+                }
+
+                enforceBudget();
+            },
+
+
+            /**
+             * Get statistics of the cache
+             *
+             * @returns {{atlases: number, images: number, bytes: number, budget: number, entries: Array}} The entries hold the url, images, estimated bytes, owners and whether the atlas is loading
+             */
+            stats: function () {
+                var entries = [],
+                    images = 0,
+                    url,
+                    name;
+
+                for (url in _atlases) {
+                    if (_atlases.hasOwnProperty(url)) {
+                        entries.push({
+                            url: url,
+                            loading: !_atlases[url].meta || _pendingImages[url] !== undefined,
+                            images: _atlases[url].meta ? _atlases[url].meta.images.slice() : [],
+                            bytes: getAtlasBytes(url),
+                            references: _references[url] ? _references[url].slice() : []
+                        });
+                    }
+                }
+
+                for (name in _images) {
+                    if (_images.hasOwnProperty(name)) {
+                        images += 1;
+                    }
+                }
+
+                return {
+                    atlases: entries.length,
+                    images: images,
+                    bytes: getMemoryUsage(),
+                    budget: _options.memoryBudget,
+                    entries: entries
+                };
+            },
+
+
+            /**
+             * Flush a url or set of urls from the the SpriteCache. If no urls are passed ALL will be flushed.
+             * Atlases that are loading, or retained by a instance, are kept unless force is passed.
+             * @param url {array|string} URLs of the atlases
+             * @param force {boolean} Optional: Also flush retained atlases
+             */
+            flush: function (urls, force) {
+                var url,
+                    index;
+
+                if (typeof urls === 'string') {
+                    urls = [urls];
+                }
+
+                if (urls === undefined || urls === null) {
+                    urls = [];
+                    for (url in _atlases) {
+                        if (_atlases.hasOwnProperty(url)) {
+                            urls.push(url);
+                        }
+                    }
+                }
+
+                for (index = 0; index < urls.length; index += 1) {
+                    url = urls[index];
+                    if (_atlases[url] !== undefined && _atlases[url].meta !== undefined && _pendingImages[url] === undefined && (force || !isReferenced(url))) {
+                        removeAtlas(url);
+                    }
+                }
+            },
+
+
+            /**
+             * Add a listener to the SpriteCache instance
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            on: function (event, listener, scope) {
+                _eventDispatcher.on(event, listener, scope);
+            },
+
+
+            /**
+             * Add a listener to the SpriteCache instance ONCE
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            one: function (event, listener, scope) {
+                _eventDispatcher.one(event, listener, scope);
+            },
+
+
+            /**
+             * Remove a listener of the SpriteCache instance
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            off: function (event, listener, scope) {
+                _eventDispatcher.off(event, listener, scope);
+            }
+
+        };
+
+        return SpriteCache._instance;
+
+    };
+
+    /**
+     * SpriteCache singleton pattern
+     *
+     * @returns {{add: Function, get: Function, flush: Function}|*|SpriteCache}
+     */
+    SpriteCache.getInstance = function () {
+
+        "use strict";
+
+        return SpriteCache._instance || new SpriteCache();
+    }
+
+
+    /**
+     * Declarative state machine on top of a SpriteAnimation. States play a animation, transitions between states
+     * can play clips, wait for a exit frame and be guarded by a condition. Only uses the sequence(), on() and off()
+     * methods of the sprite, so any object implementing those can be driven.
+     *
+     * @param sprite {SpriteAnimation} The sprite to drive
+     * @param config {{initial: {string}, states: {object}, transitions: {array}}} The states by name: {animation, loop, from, to, playbackRate, yoyo, exitFrames, next}
+     * and the transitions: {from, to, trigger, animation, condition, exitFrames}
+     * @returns {{state: Function, setState: Function, trigger: Function, can: Function, on: Function, one: Function, off: Function, dispose: Function}}
+     * @constructor
+     */
+    var SpriteStateMachine = function (sprite, config) {
+
+        "use strict";
+
+        var _sprite = sprite,
+            _eventDispatcher = new SpriteEventEmitter(),
+            _states = config.states || {},
+            _transitions = config.transitions || [],
+            _state = null,
+            _previous = null,
+            _data,
+            _clipLength = 0,
+            _stepsDone = 0,
+            _pending = null,
+
+            matchesState,
+            findTransition,
+            hasTransition,
+            requestTransition,
+            startTransition,
+            getStateStep,
+            toSteps,
+            onAnimationDone,
+            onFrame,
+            dispatchEvent;
+
+
+        /**
+         * Does the from rule of a transition match a state
+         *
+         * @param from {string|array} Optional: A state name, a list of state names or *
+         * @param state {string} The state name
+         * @returns {boolean}
+         */
+
+        matchesState = function (from, state) {
+            if (from === undefined || from === '*') {
+                return true;
+            }
+
+            if (Array.isArray(from)) {
+                return from.indexOf(state) !== -1;
+            }
+
+            return from === state;
+        }
+
+
+        /**
+         * Find the first transition from the current state, by target state or by trigger, whose condition passes
+         *
+         * @param to {string} The target state, ignored when a trigger is passed
+         * @param trigger {string} The trigger name
+         * @param data {*} Passed to the condition
+         * @returns {object} The transition or null
+         */
+
+        findTransition = function (to, trigger, data) {
+            var transition,
+                index;
+
+            for (index = 0; index < _transitions.length; index += 1) {
+                transition = _transitions[index];
+
+                if (matchesState(transition.from, _state) && (trigger !== undefined ? transition.trigger === trigger : transition.to === to)) {
+                    if (!transition.condition || transition.condition.call(null, data, _state, transition.to)) {
+                        return transition;
+                    }
+                }
+            }
+
+            return null;
+        }
+
+
+        /**
+         * Is there a transition from the current state to a state, whether its condition passes or not
+         *
+         * @param to {string} The target state
+         * @returns {boolean}
+         */
+
+        hasTransition = function (to) {
+            var index;
+
+            for (index = 0; index < _transitions.length; index += 1) {
+                if (matchesState(_transitions[index].from, _state) && _transitions[index].to === to) {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+
+        /**
+         * Transition to a state, waits for a exit frame if the transition or the current state defines them
+         *
+         * @param to {string} The target state
+         * @param transition {object} Optional: The transition
+         * @param data {*} Passed along with the events
+         */
+
+        requestTransition = function (to, transition, data) {
+            var exitFrames = transition && transition.exitFrames ? transition.exitFrames : (_states[_state] ? _states[_state].exitFrames : undefined);
+
+            if (!_states[to]) {
+                throw new Error('Unknown state ' + to);
+            }
+
+            if (exitFrames && _state !== null && _stepsDone === _clipLength) {
+                _pending = {
+                    to: to,
+                    transition: transition,
+                    data: data,
+                    exitFrames: exitFrames
+                };
+            } else {
+                startTransition(to, transition, data);
+            }
+        }
+
+
+        /**
+         * Leave the current state, play the transition clip and then the animation of the target state
+         *
+         * @param to {string} The target state
+         * @param transition {object} Optional: The transition
+         * @param data {*} Passed along with the events
+         */
+
+        startTransition = function (to, transition, data) {
+            var from = _state,
+                clip = toSteps(transition ? transition.animation : undefined);
+
+            _pending = null;
+            _previous = from;
+            _data = data;
+            _state = to;
+            _clipLength = clip.length;
+            _stepsDone = 0;
+
+            dispatchEvent('sprite-state-machine:transition', [to, from, data]);
+
+            _sprite.sequence(clip.concat([getStateStep(to)]));
+
+            if (clip.length === 0) {
+                dispatchEvent('sprite-state-machine:change', [to, from, data]);
+            }
+        }
+
+
+        /**
+         * Create the play step of a state
+         *
+         * @param name {string} The state name
+         * @returns {object} The step
+         */
+
+        getStateStep = function (name) {
+            var state = _states[name];
+
+            return {
+                animation: state.animation,
+                loop: state.loop !== undefined ? state.loop : true,
+                from: state.from,
+                to: state.to,
+                playbackRate: state.playbackRate,
+                yoyo: state.yoyo
+            };
+        }
+
+
+        /**
+         * Convert a clip to a list of steps
+         *
+         * @param clip {string|object|array} Optional: A animation name, a step or a list of steps
+         * @returns {Array} The steps
+         */
+
+        toSteps = function (clip) {
+            var steps = [],
+                index;
+
+            if (clip === undefined || clip === null) {
+                return steps;
+            }
+
+            if (!Array.isArray(clip)) {
+                clip = [clip];
+            }
+
+            for (index = 0; index < clip.length; index += 1) {
+                steps.push(typeof clip[index] === 'string' ? {animation: clip[index]} : extend({}, clip[index]));
+            }
+
+            return steps;
+        }
+
+
+        /**
+         * Called when a animation of the sprite is done. Keeps track of the clip and the state animation.
+         */
+
+        onAnimationDone = function () {
+            var next,
+                transition;
+
+            _stepsDone += 1;
+
+            if (_stepsDone === _clipLength) {
+                dispatchEvent('sprite-state-machine:change', [_state, _previous, _data]);
+            } else if (_stepsDone === _clipLength + 1) {
+                dispatchEvent('sprite-state-machine:state-done', [_state]);
+
+                if (_pending) {
+                    startTransition(_pending.to, _pending.transition, _pending.data);
+                } else if (_states[_state].next) {
+                    next = _states[_state].next;
+                    transition = findTransition(next);
+
+                    // Stay in the state when the transitions to the next state do not allow it
+                    if (transition || !hasTransition(next)) {
+                        requestTransition(next, transition, undefined);
+                    }
+                }
+            }
+        }
+
+
+        /**
+         * Called on every frame of the sprite, performs a pending transition on one of its exit frames
+         *
+         * @param event {object}
+         * @param animation {string} The animation name
+         * @param frame {number} The frame number
+         */
+
+        onFrame = function (event, animation, frame) {
+            if (_pending && _stepsDone === _clipLength && _pending.exitFrames.indexOf(frame) !== -1) {
+                startTransition(_pending.to, _pending.transition, _pending.data);
+            }
+        }
+
+
+        /**
+         * Dispatch a event
+         * @param event {string}
+         */
+
+        dispatchEvent = function (event, args) {
+            _eventDispatcher.trigger(event, args);
+        }
+
+
+        _sprite.on('sprite-animation:animation-done', onAnimationDone);
+        _sprite.on('sprite-animation:frame', onFrame);
+
+        if (config.initial !== undefined) {
+            requestTransition(config.initial, null, undefined);
+        }
+
+
+        return {
+
+            /**
+             * Get the current state
+             *
+             * @returns {string} The state name
+             */
+            state: function () {
+                return _state;
+            },
+
+
+            /**
+             * Go to a state. Uses the first matching transition from the current state, if there is one its condition has to pass.
+             *
+             * @param name {string} The state name
+             * @param data {*} Optional: Passed to the condition and along with the events
+             * @returns {boolean} The state change is started or pending
+             */
+            setState: function (name, data) {
+                var transition = findTransition(name, undefined, data);
+
+                if (name === _state) {
+                    return false;
+                }
+
+                if (!transition && hasTransition(name)) {
+                    // A transition exists but its condition does not pass
+                    return false;
+                }
+
+                requestTransition(name, transition, data);
+                return true;
+            },
+
+
+            /**
+             * Fire a trigger, follows the first transition from the current state with this trigger whose condition passes
+             *
+             * @param name {string} The trigger name
+             * @param data {*} Optional: Passed to the condition and along with the events
+             * @returns {boolean} A transition is started or pending
+             */
+            trigger: function (name, data) {
+                var transition = findTransition(undefined, name, data);
+
+                if (!transition) {
+                    return false;
+                }
+
+                requestTransition(transition.to, transition, data);
+                return true;
+            },
+
+
+            /**
+             * Is there a transition for a trigger from the current state whose condition passes
+             *
+             * @param name {string} The trigger name
+             * @param data {*} Optional: Passed to the condition
+             * @returns {boolean}
+             */
+            can: function (name, data) {
+                return findTransition(undefined, name, data) !== null;
+            },
+
+
+            /**
+             * Add a listener to the state machine
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            on: function (event, listener, scope) {
+                _eventDispatcher.on(event, listener, scope);
+            },
+
+
+            /**
+             * Add a listener to the state machine ONCE
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            one: function (event, listener, scope) {
+                _eventDispatcher.one(event, listener, scope);
+            },
+
+
+            /**
+             * Remove a listener of the state machine
+             *
+             * @param event {string} The event name
+             * @param listener {function} The callback function
+             * @param scope {object} The callback function's scope
+             */
+            off: function (event, listener, scope) {
+                _eventDispatcher.off(event, listener, scope);
+            },
+
+
+            /**
+             * Stop listening to the sprite, the sprite keeps playing
+             */
+            dispose: function () {
+                _pending = null;
+                _sprite.off('sprite-animation:animation-done', onAnimationDone);
+                _sprite.off('sprite-animation:frame', onFrame);
+            }
+
+        };
+    };
+
+
+    /**
+     * Shared ticker, drives the playback of all SpriteAnimation instances from a single requestAnimationFrame loop.
+     * The clock can be replaced, for example by a manual clock in tests.
+     *
+     * @returns {{add: Function, remove: Function, once: Function, tick: Function, step: Function, setClock: Function, setMaxDelta: Function, now: Function}}
+     * @constructor
+     */
+    var SpriteTicker = function () {
+
+        "use strict";
+
+        if (SpriteTicker._instance) {
+            return SpriteTicker._instance;
+        }
 
-                _loaded = false;
-                setupLoadedListener();
 
-                this.cache().load(urls, retinaUrls, isRetina());
+        var _listeners = [],
+            _callbacks = [],
+            _clock,
+            _handle = null,
+            _lastTime,
+            _maxDelta = 1000,
+
+            defaultClock,
+            start,
+            stop,
+            onFrame,
+            tick;
+
+
+        /**
+         * The default clock, uses the frames of the environment: requestAnimationFrame in browsers. Animation frames are not fired in background tabs.
+         */
+
+        defaultClock = {
+            now: function () {
+                return SpriteEnvironment.getInstance().now();
+            },
+
+            request: function (callback) {
+                return SpriteEnvironment.getInstance().requestFrame(callback);
             },
 
+            cancel: function (handle) {
+                SpriteEnvironment.getInstance().cancelFrame(handle);
+            }
+        };
+
+
+        /**
+         * Start requesting frames if there are listeners
+         */
+
+        start = function () {
+            if (_handle === null && (_listeners.length > 0 || _callbacks.length > 0)) {
+                _lastTime = _clock.now();
+                _handle = _clock.request(onFrame);
+
+                if (_handle === undefined) {
+                    _handle = null;
+                }
+            }
+        }
+
+
+        /**
+         * Stop requesting frames
+         */
+
+        stop = function () {
+            if (_handle !== null) {
+                _clock.cancel(_handle);
+                _handle = null;
+            }
+        }
+
+
+        /**
+         * Called by the clock on every frame
+         */
+
+        onFrame = function () {
+            _handle = null;
+            tick(_clock.now());
+
+            if ((_listeners.length > 0 || _callbacks.length > 0) && _handle === null) {
+                _handle = _clock.request(onFrame);
+
+                if (_handle === undefined) {
+                    _handle = null;
+                }
+            }
+        }
+
+
+        /**
+         * Notify the listeners, then call the callbacks added with once(). The elapsed time is capped by the max delta,
+         * longer gaps are treated as a pause.
+         *
+         * @param time {number} The current time in ms
+         */
+
+        tick = function (time) {
+            var listeners = _listeners.slice(),
+                callbacks,
+                delta = Math.min(Math.max(time - _lastTime, 0), _maxDelta),
+                index;
+
+            _lastTime = time;
+
+            for (index = 0; index < listeners.length; index += 1) {
+                if (_listeners.indexOf(listeners[index]) !== -1) {
+                    listeners[index](time, delta);
+                }
+            }
+
+            callbacks = _callbacks;
+            _callbacks = [];
+
+            for (index = 0; index < callbacks.length; index += 1) {
+                callbacks[index](time);
+            }
+        }
+
+
+        _clock = defaultClock;
+        _lastTime = _clock.now();
+
+
+        SpriteTicker._instance = {
 
             /**
-             * Add a animation to this SpriteAnimation instance
+             * Add a listener, called with the time and the elapsed time in ms on every tick
              *
-             * @param name {string} The name of the animation
-             * @param frameName {string} Frame name of the animation. For example animation_%%.png
-             * @param delimiter {string} Delimiter, corresponds to the delimiter used in the frameName, for example %
-             * @param startIndex {int} The number at which the frameNames start
-             * @param fps {int} The frames per second at which this animation should run
+             * @param listener {function} The callback function
              */
-            addAnimation: function (name, frameName, delimiter, startIndex, fps) {
-                if (_canvasSupport) {
-                    setupAnimation(name, frameName, delimiter, startIndex, fps);
+            add: function (listener) {
+                if (_listeners.indexOf(listener) === -1) {
+                    _listeners.push(listener);
+                    start();
                 }
             },
 
 
             /**
-             * Play a animation by name
+             * Remove a listener
              *
-             * @param animation {string} The name of the animation
-             * @param loop {boolean} Loops the animation
-             * @param from {int} The start frame
-             * @param to {int} The end frame
-             * @param options {{startOpacity: {number}}} A optional configuration object
+             * @param listener {function} The callback function
              */
-            play: function (animation, loop, from, to, options) {
-                if (_canvasSupport) {
-                    options = options !== undefined ? options : {};
+            remove: function (listener) {
+                var index = _listeners.indexOf(listener);
 
-                    if (typeof from === 'string') {
-                        from = getFrameNumber(animation, from);
-                        if (from === -1) {
-                            from = undefined;
-                        }
-                    }
+                if (index !== -1) {
+                    _listeners.splice(index, 1);
+                }
 
-                    if (typeof to === 'string') {
-                        to = getFrameNumber(animation, to);
-                        if (to === -1) {
-                            to = undefined;
-                        }
-                    }
+                if (_listeners.length === 0 && _callbacks.length === 0) {
+                    stop();
+                }
+            },
 
 
-                    options.loop = loop;
-                    options.from = from;
-                    options.to = to;
-                    playAnimation(animation, options);
+            /**
+             * Call a function once at the end of the next tick, after the listeners. A function that is already waiting is
+             * not added again, so it can be used to batch work that many listeners ask for.
+             *
+             * @param callback {function} Called with the time of the tick
+             */
+            once: function (callback) {
+                if (_callbacks.indexOf(callback) === -1) {
+                    _callbacks.push(callback);
+                    start();
                 }
             },
 
+
+            /**
+             * Tick manually
+             *
+             * @param time {number} Optional: The current time in ms, defaults to the time of the clock
+             */
+            tick: function (time) {
+                tick(time !== undefined ? time : _clock.now());
+            },
+
+
             /**
-             * Resume a stopped animation
+             * Advance the ticker manually by a amount of time
+             *
+             * @param delta {number} The elapsed time in ms
              */
-            resume: function () {
-                if (_canvasSupport) {
-                    if (_currentAnimation && _animations[_currentAnimation]) {
-                        _stopped = false;
-                        _playing = true;
-                        setFrame();
-                    }
+            step: function (delta) {
+                tick(_lastTime + delta);
+            },
+
+
+            /**
+             * Replace the clock. A clock implements now(), request(callback) and cancel(handle).
+             * A clock whose request() does nothing is a manual clock, advance it with tick() or step().
+             *
+             * @param clock {object} The clock, passing null restores the default clock
+             */
+            setClock: function (clock) {
+                stop();
+                _clock = clock || defaultClock;
+                _lastTime = _clock.now();
+                start();
+            },
+
+
+            /**
+             * Set the maximum time in ms a single tick can advance, longer gaps are treated as a pause
+             *
+             * @param maxDelta {number} Default: 1000
+             */
+            setMaxDelta: function (maxDelta) {
+                _maxDelta = maxDelta;
+            },
+
+
+            /**
+             * The current time of the clock
+             *
+             * @returns {number} The time in ms
+             */
+            now: function () {
+                return _clock.now();
+            }
+
+        };
+
+        return SpriteTicker._instance;
+
+    };
+
+    /**
+     * SpriteTicker singleton pattern
+     *
+     * @returns {SpriteTicker}
+     */
+    SpriteTicker.getInstance = function () {
+
+        "use strict";
+
+        return SpriteTicker._instance || new SpriteTicker();
+    }
+
+
+    /**
+     * The environment the lib runs in: the canvas factory, image loader, atlas fetcher and clock. Defaults to the browser,
+     * every part can be replaced with configure(), for example to render with node-canvas and load from the file system.
+     *
+     * @returns {{createCanvas: Function, canvasSupported: Function, devicePixelRatio: Function, maxTextureSize: Function, deviceMemory: Function, watchPixelRatio: Function, contentSize: Function, observeResize: Function, loadImage: Function, fetch: Function, parseXML: Function, setTimeout: Function, clearTimeout: Function, now: Function, requestFrame: Function, cancelFrame: Function, getResourceSize: Function, configure: Function}}
+     * @constructor
+     */
+    var SpriteEnvironment = function () {
+
+        "use strict";
+
+        if (SpriteEnvironment._instance) {
+            return SpriteEnvironment._instance;
+        }
+
+
+        var hasWindow = function () {
+            return typeof window !== 'undefined';
+        };
+
+
+        SpriteEnvironment._instance = {
+
+            /**
+             * Create a canvas
+             *
+             * @param width {number}
+             * @param height {number}
+             * @returns {HTMLCanvasElement}
+             */
+            createCanvas: function (width, height) {
+                var canvas = document.createElement('canvas');
+
+                canvas.width = width;
+                canvas.height = height;
+
+                return canvas;
+            },
+
+
+            /**
+             * Is canvas supported
+             *
+             * @returns {boolean}
+             */
+            canvasSupported: function () {
+                if (!hasWindow() || document.createElement('canvas').getContext === undefined) {
+                    return false;
+                } else if (navigator.userAgent.match(/(Android (1.0|1.1|1.5|1.6|2.0|2.1))|(GT-P5110)|(Windows Phone (OS 7))|(XBLWP)|(ZuneWP)|(w(eb)?OSBrowser)|(webOS)|(Kindle\/(1.0|2.0|2.5|3.0))/)) {
+                    return false;
                 }
+
+                return true;
             },
 
 
             /**
-             * Apply a offset to the canvas. The offset is relative
+             * Get the device pixel ratio
              *
-             * @param x {number} X offset
-             * @param y {number} Y offset
+             * @returns {number}
              */
-            setOffset: function (x, y) {
-                if (_canvasSupport) {
-                    _offset = {
-                        x: x,
-                        y: y
-                    };
+            devicePixelRatio: function () {
+                if (!hasWindow()) {
+                    return 1;
+                }
 
-                    if (_canvas && _appended) {
-                        setCanvasOffset();
+                //We need to make a exception specially for Microsoft...
+                if (navigator.userAgent.match(/(Windows Phone)/) && window.devicePixelRatio === undefined) {
+                    return Math.round(window.screen.availWidth / document.documentElement.clientWidth);
+                }
+
+                return window.devicePixelRatio !== undefined ? window.devicePixelRatio : 1;
+            },
+
+
+            /**
+             * Get the largest texture the device can handle, read from WebGL once
+             *
+             * @returns {number} The size in pixels, Infinity if unknown
+             */
+            maxTextureSize: function () {
+                var gl;
+
+                if (SpriteEnvironment._maxTextureSize === undefined) {
+                    SpriteEnvironment._maxTextureSize = Infinity;
+
+                    try {
+                        gl = hasWindow() && document.createElement('canvas').getContext('webgl');
+
+                        if (gl) {
+                            SpriteEnvironment._maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE) || Infinity;
+                        }
+                    } catch (ignore) {
+                        // No WebGL, the size stays unknown
                     }
                 }
+
+                return SpriteEnvironment._maxTextureSize;
             },
 
 
             /**
-             * Stops the current animation
+             * Get the device memory hint
+             *
+             * @returns {number} The memory in GB, Infinity if unknown
              */
-            stop: function (clear) {
-                if (_canvasSupport) {
-                    stop();
+            deviceMemory: function () {
+                return typeof navigator !== 'undefined' && navigator.deviceMemory ? navigator.deviceMemory : Infinity;
+            },
+
+
+            /**
+             * Call a function when the device pixel ratio changes, for example when the window is moved to a other display or zoomed
+             *
+             * @param callback {function}
+             * @returns {function} Stops watching
+             */
+            watchPixelRatio: function (callback) {
+                var query,
+                    onChange,
+                    stopped = false;
+
+                if (!hasWindow() || !window.matchMedia) {
+                    return function () {};
                 }
+
+                // A media query only matches the current ratio, watch again with the new ratio after every change
+                onChange = function () {
+                    query.removeListener(onChange);
+
+                    if (!stopped) {
+                        query = window.matchMedia('(resolution: ' + SpriteEnvironment._instance.devicePixelRatio() + 'dppx)');
+                        query.addListener(onChange);
+                        callback();
+                    }
+                };
+
+                query = window.matchMedia('(resolution: ' + SpriteEnvironment._instance.devicePixelRatio() + 'dppx)');
+                query.addListener(onChange);
+
+                return function () {
+                    stopped = true;
+                    query.removeListener(onChange);
+                };
             },
 
 
             /**
-             * Disposes the SpriteAnimation instance
+             * Get the size of the content box of a element, without its padding. The canvas is sized to it, so a target
+             * with padding does not grow every time the canvas is resized.
+             *
+             * @param element {HTMLElement}
+             * @returns {{width: number, height: number}}
              */
-            dispose: function () {
-                if (!_stopped) {
-                    this.stop();
+            contentSize: function (element) {
+                var width = element.clientWidth || 0,
+                    height = element.clientHeight || 0,
+                    style;
+
+                if (hasWindow() && window.getComputedStyle) {
+                    style = window.getComputedStyle(element);
+                    width -= (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+                    height -= (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0);
                 }
 
-                clearCanvas();
-                removeCanvas();
+                return {
+                    width: Math.max(width, 0),
+                    height: Math.max(height, 0)
+                };
             },
 
 
             /**
-             * Sets the current animation
+             * Call a function when the size of a element changes. Uses a ResizeObserver, or the resize of the window when not available.
              *
-             * @param animation {string} Animation name
+             * @param element {HTMLElement}
+             * @param callback {function}
+             * @returns {function} Stops observing
              */
-            setAnimation: function (animation) {
-                if (_canvasSupport) {
-                    _currentAnimation = animation;
+            observeResize: function (element, callback) {
+                var observer;
+
+                if (!hasWindow()) {
+                    return function () {};
+                }
+
+                if (window.ResizeObserver) {
+                    observer = new window.ResizeObserver(function () {
+                        callback();
+                    });
+                    observer.observe(element);
+
+                    return function () {
+                        observer.disconnect();
+                    };
                 }
+
+                window.addEventListener('resize', callback);
+
+                return function () {
+                    window.removeEventListener('resize', callback);
+                };
+            },
+
+
+            /**
+             * Load a image
+             *
+             * @param url {string} The image url
+             * @param callback {function} Called with a error, or null and the image
+             * @returns {function} Optional: Cancels the loading
+             */
+            loadImage: function (url, callback) {
+                var image = new Image(),
+                    onLoad,
+                    onError,
+                    done;
+
+                done = function (error) {
+                    image.removeEventListener('load', onLoad);
+                    image.removeEventListener('error', onError);
+                    callback(error, error ? null : image);
+                };
+
+                onLoad = function () {
+                    done(null);
+                };
+                onError = function () {
+                    done(new Error('Failed to load image ' + url));
+                };
+
+                image.addEventListener('load', onLoad);
+                image.addEventListener('error', onError);
+                image.src = url;
+
+                return function () {
+                    image.removeEventListener('load', onLoad);
+                    image.removeEventListener('error', onError);
+                    image.src = '';
+                };
+            },
+
+
+            /**
+             * Fetch a text file
+             *
+             * @param url {string} The url
+             * @param options {{timeout: {number}, onProgress: {function}}} The timeout in ms, 0 for none, and a progress callback called with the bytes loaded and total, 0 if unknown
+             * @param callback {function} Called with a error {status: 'error'|'timeout', code: {number}, message: {string}}, or null and the text
+             */
+            fetch: function (url, options, callback) {
+                var request = new XMLHttpRequest();
+
+                request.open('GET', url, true);
+                request.timeout = options.timeout || 0;
+
+                request.onprogress = function (event) {
+                    options.onProgress(event.loaded, event.lengthComputable ? event.total : 0);
+                };
+
+                request.onload = function () {
+                    if ((request.status >= 200 && request.status < 300) || request.status === 304) {
+                        callback(null, request.responseText);
+                    } else {
+                        callback({status: 'error', code: request.status, message: request.statusText});
+                    }
+                };
+
+                request.onerror = function () {
+                    callback({status: 'error', code: request.status});
+                };
+
+                request.ontimeout = function () {
+                    callback({status: 'timeout', code: request.status});
+                };
+
+                request.send();
             },
 
 
             /**
-             * Set's the current frame of the animation. Can be used as a TweenMax variable
-             * @param frameNumber {number} The frame number
-             * @returns {number} Initially returns 0 for compatibility with TweenMax
+             * Parse a XML string
+             *
+             * @param raw {string} The XML
+             * @returns {Document}
              */
-            frame: function (frameNumber) {
-                if (_canvasSupport) {
-                    if (!isNaN(frameNumber)) {
-                        _currentFrame = Math.round(frameNumber);
-                        setFrame();
-                    } else {
-                        return 0;
-                    }
+            parseXML: function (raw) {
+                var xml = new DOMParser().parseFromString(raw, 'text/xml');
+
+                if (xml.getElementsByTagName('parsererror').length > 0) {
+                    throw new Error('Invalid XML');
                 }
+
+                return xml;
             },
 
 
             /**
-             * Add a listener to the SpriteAnimation instance
+             * Call a function after a delay
              *
-             * @param event {string} The event name
-             * @param listener {function} The callback function
-             * @param scope {object} The callback function's scope
+             * @param callback {function}
+             * @param delay {number} The delay in ms
+             * @returns {*} The handle
              */
-            on: function (event, listener, scope) {
-                _eventDispatcher.on(event, listener, scope);
+            setTimeout: function (callback, delay) {
+                return setTimeout(callback, delay);
             },
 
 
             /**
-             * Add a listener to the SpriteAnimation instance ONCE
+             * Cancel a delayed call
              *
-             * @param event {string} The event name
-             * @param listener {function} The callback function
-             * @param scope {object} The callback function's scope
+             * @param handle {*} The handle returned by setTimeout
              */
-            one: function (event, listener, scope) {
-                _eventDispatcher.one(event, listener, scope);
+            clearTimeout: function (handle) {
+                clearTimeout(handle);
             },
 
 
             /**
-             * Remove a listener of the SpriteAnimation instance
+             * Get the current time
              *
-             * @param event {string} The event name
-             * @param listener {function} The callback function
-             * @param scope {object} The callback function's scope
+             * @returns {number} The time in ms
              */
-            off: function (event, listener, scope) {
-                _eventDispatcher.off(event, listener, scope);
+            now: function () {
+                if (typeof performance !== 'undefined' && performance.now) {
+                    return performance.now();
+                }
+
+                return new Date().getTime();
             },
 
 
             /**
-             * Get a instance of the SpriteAnimation Cache. The Cache is shared throughout the different instances
+             * Request a animation frame, uses requestAnimationFrame when available
              *
-             * @returns {object} SpriteCache instance
+             * @param callback {function} Called with the time
+             * @returns {*} The handle
              */
-            cache: function () {
-                return SpriteCache.getInstance();
-            },
+            requestFrame: function (callback) {
+                if (hasWindow() && window.requestAnimationFrame) {
+                    return window.requestAnimationFrame(callback);
+                }
 
+                return setTimeout(callback, 16);
+            },
 
 
             /**
-             * Is canvas supported by the device
+             * Cancel a requested animation frame
              *
-             * @returns {boolean} Canvas supported
+             * @param handle {*} The handle returned by requestFrame
              */
-            canvasSupported: function () {
-                return canvasSupported();
+            cancelFrame: function (handle) {
+                if (hasWindow() && window.cancelAnimationFrame) {
+                    window.cancelAnimationFrame(handle);
+                } else {
+                    clearTimeout(handle);
+                }
             },
 
 
             /**
-             * Does the device have a retina display
+             * Get the transferred size of a loaded resource from the resource timing
              *
-             * @returns {boolean} Retina display
+             * @param url {string} The absolute url
+             * @returns {number} The size in bytes, 0 if unknown
              */
-            isRetina: function () {
-                return isRetina();
-            },
+            getResourceSize: function (url) {
+                var entries;
 
-            /**
-             * Animation is stopped
-             * @returns {boolean}
-             */
-            stopped:  function () {
-                return _stopped;
+                if (typeof performance !== 'undefined' && performance.getEntriesByName) {
+                    entries = performance.getEntriesByName(url);
+                    if (entries.length > 0) {
+                        return entries[entries.length - 1].encodedBodySize || entries[entries.length - 1].transferSize || 0;
+                    }
+                }
+
+                return 0;
             },
 
+
             /**
-             * Animation is playing
-             * @returns {boolean}
+             * Replace parts of the environment
+             *
+             * @param environment {object} The functions to replace, for example {createCanvas: function (width, height) {}, loadImage: function (url, callback) {}}
              */
-            playing: function () {
-                return _playing;
+            configure: function (environment) {
+                var name;
+
+                for (name in environment) {
+                    if (environment.hasOwnProperty(name) && name !== 'configure') {
+                        SpriteEnvironment._instance[name] = environment[name];
+                    }
+                }
             }
+        };
 
-        }
-    }
+        return SpriteEnvironment._instance;
 
-    var SpriteCache = function () {
+    };
+
+    /**
+     * SpriteEnvironment singleton pattern
+     *
+     * @returns {SpriteEnvironment}
+     */
+    SpriteEnvironment.getInstance = function () {
 
         "use strict";
 
-        if (SpriteCache._instance) {
-            return SpriteCache._instance;
+        return SpriteEnvironment._instance || new SpriteEnvironment();
+    }
+
+
+    /**
+     * Canvas renderer, draws the frames on a 2d canvas created by the environment. The backing store is sized by the device
+     * pixel ratio, so the frames are drawn sharp on every display. Rotated frames are stored 90 degrees clockwise in the atlas
+     * and are rotated back while drawing.
+     */
+    var SpriteCanvasRenderer = {
+
+        /**
+         * Is the renderer supported
+         *
+         * @returns {boolean}
+         */
+        supported: function () {
+
+            "use strict";
+
+            return SpriteEnvironment.getInstance().canvasSupported();
+        },
+
+
+        /**
+         * Create a canvas renderer
+         *
+         * @param width {number} The width in CSS pixels
+         * @param height {number} The height in CSS pixels
+         * @param layout {{scale: {number}, x: {number}, y: {number}, pixelRatio: {number}}} The scale and position of the animation in CSS pixels and the device pixel ratio
+         * @returns {{element: HTMLCanvasElement, clear: Function, draw: Function, resize: Function}}
+         */
+        create: function (width, height, layout) {
+
+            "use strict";
+
+            var canvas = SpriteEnvironment.getInstance().createCanvas(Math.round(width * layout.pixelRatio), Math.round(height * layout.pixelRatio)),
+                context = canvas.getContext('2d'),
+                tintCache = SpriteCanvasRenderer.createTintCache(),
+                renderer;
+
+            renderer = {
+                element: canvas,
+
+                resize: function (width, height, newLayout) {
+                    layout = newLayout;
+                    canvas.width = Math.round(width * layout.pixelRatio);
+                    canvas.height = Math.round(height * layout.pixelRatio);
+
+                    if (canvas.style) {
+                        canvas.style.width = width + 'px';
+                        canvas.style.height = height + 'px';
+                    }
+                },
+
+                clear: function () {
+                    context.setTransform(1, 0, 0, 1, 0, 0);
+                    context.clearRect(0, 0, canvas.width, canvas.height);
+                },
+
+                draw: function (frameData, image, scale, display) {
+                    var ratio = layout.pixelRatio * layout.scale;
+
+                    // Draw in CSS pixels, the transform maps them to the backing store
+                    context.setTransform(ratio, 0, 0, ratio, layout.x * layout.pixelRatio, layout.y * layout.pixelRatio);
+                    context.globalAlpha = display ? display.alpha : 1;
+                    SpriteCanvasRenderer.transform(context, display);
+                    SpriteCanvasRenderer.drawFrame(context, frameData, image, scale, display, tintCache);
+                }
+            };
+
+            renderer.resize(width, height, layout);
+
+            return renderer;
+        },
+
+
+        /**
+         * Flip, scale and rotate the current transform of a 2d context around the origin of the display properties
+         *
+         * @param context {CanvasRenderingContext2D}
+         * @param display {object} Optional: The display properties of the animation
+         */
+        transform: function (context, display) {
+
+            "use strict";
+
+            if (display) {
+                context.translate(display.originX, display.originY);
+                context.rotate(display.rotation * Math.PI / 180);
+                context.scale(display.scaleX * (display.flipX ? -1 : 1), display.scaleY * (display.flipY ? -1 : 1));
+                context.translate(-display.originX, -display.originY);
+            }
+        },
+
+
+        /**
+         * Draw a frame on a 2d context at its trim offset, in the current transform of the context
+         *
+         * @param context {CanvasRenderingContext2D}
+         * @param frameData {object} The frame data as stored in the animation
+         * @param image {Image} The atlas image
+         * @param scale {number} The number of atlas pixels per CSS pixel
+         * @param display {object} Optional: The display properties of the animation, for the tint
+         * @param tintCache {object} Optional: The tinted frames of the renderer, see createTintCache(). Needed to draw the tint.
+         */
+        drawFrame: function (context, frameData, image, scale, display, tintCache) {
+
+            "use strict";
+
+            var frame = frameData.frame,
+                offset = frameData.spriteSourceSize || {x: 0, y: 0},
+                source = image,
+                sourceX = frame.x,
+                sourceY = frame.y,
+                x = offset.x / scale,
+                y = offset.y / scale,
+                w = frame.w / scale,
+                h = frame.h / scale;
+
+            // Without multiply support the frame is drawn untinted, rather than filled by the source-over fallback
+            if (display && display.tint && tintCache && (display.tintMode === 'color' || SpriteCanvasRenderer.multiplySupported())) {
+                source = SpriteCanvasRenderer.tintFrame(frameData, image, display.tint, display.tintMode, tintCache);
+                sourceX = 0;
+                sourceY = 0;
+            }
+
+            if (frameData.rotated) {
+                context.save();
+                context.translate(x, y + h);
+                context.rotate(-Math.PI / 2);
+                context.drawImage(source, sourceX, sourceY, frame.h, frame.w, 0, 0, h, w);
+                context.restore();
+            } else {
+                context.drawImage(source, sourceX, sourceY, frame.w, frame.h, x, y, w, h);
+            }
+        },
+
+
+        /**
+         * Is the multiply composite operation supported. An unsupported operation is ignored by the context, so it is set on
+         * a test canvas and read back. The result is stored after the first call.
+         *
+         * @returns {boolean}
+         */
+        multiplySupported: function () {
+
+            "use strict";
+
+            var context;
+
+            if (SpriteCanvasRenderer._multiply === undefined) {
+                context = SpriteEnvironment.getInstance().createCanvas(1, 1).getContext('2d');
+                context.globalCompositeOperation = 'multiply';
+                SpriteCanvasRenderer._multiply = context.globalCompositeOperation === 'multiply';
+            }
+
+            return SpriteCanvasRenderer._multiply;
+        },
+
+
+        /**
+         * Create the cache of the tinted frames of a renderer, it holds up to 64 frames
+         *
+         * @returns {{canvases: object, keys: Array, size: number}}
+         */
+        createTintCache: function () {
+
+            "use strict";
+
+            return {canvases: {}, keys: [], size: 64};
+        },
+
+
+        /**
+         * Tint the region of a frame on a canvas of its own. The tinted frames are cached by image, region, color and mode, the
+         * oldest one is dropped when the cache is full and its canvas is reused, resized only when the size differs.
+         *
+         * @param frameData {object} The frame data as stored in the animation
+         * @param image {Image} The atlas image
+         * @param color {string} A CSS color
+         * @param mode {string} multiply: darken the frame with the color, color: fill the frame with the color
+         * @param cache {object} The tinted frames of the renderer, see createTintCache()
+         * @returns {HTMLCanvasElement} The canvas with the tinted frame at 0, 0
+         */
+        tintFrame: function (frameData, image, color, mode, cache) {
+
+            "use strict";
+
+            var frame = frameData.frame,
+                // A rotated frame is stored with its width and height swapped
+                w = frameData.rotated ? frame.h : frame.w,
+                h = frameData.rotated ? frame.w : frame.h,
+                // Canvas and ImageBitmap sources have no src, images are told apart by their id
+                key = [getImageId(image), frame.x, frame.y, w, h, color, mode].join('|'),
+                canvas = cache.canvases[key],
+                context;
+
+            if (canvas) {
+                return canvas;
+            }
+
+            if (cache.keys.length >= cache.size) {
+                canvas = cache.canvases[cache.keys[0]];
+                delete cache.canvases[cache.keys.shift()];
+            }
+
+            if (!canvas) {
+                canvas = SpriteEnvironment.getInstance().createCanvas(w, h);
+            } else if (canvas.width !== w || canvas.height !== h) {
+                // Resizing also clears the canvas and resets the context
+                canvas.width = w;
+                canvas.height = h;
+            }
+
+            context = canvas.getContext('2d');
+            context.globalCompositeOperation = 'source-over';
+            context.clearRect(0, 0, w, h);
+            context.drawImage(image, frame.x, frame.y, w, h, 0, 0, w, h);
+            context.fillStyle = color;
+
+            if (mode === 'color') {
+                context.globalCompositeOperation = 'source-atop';
+                context.fillRect(0, 0, w, h);
+            } else {
+                context.globalCompositeOperation = 'multiply';
+                context.fillRect(0, 0, w, h);
+
+                // Multiply fills the transparent area too, cut it out with the frame
+                context.globalCompositeOperation = 'destination-in';
+                context.drawImage(image, frame.x, frame.y, w, h, 0, 0, w, h);
+            }
+
+            cache.canvases[key] = canvas;
+            cache.keys.push(key);
+
+            return canvas;
         }
+    };
 
 
-        var _eventDispatcher = $('<div></div>'),
-            _isLoading = false,
-            _loaded = false,
-            _urls,
-            _url,
-            _atlases = [],
-            _image,
-            _imageName,
-            _images = [],
+    /**
+     * DOM renderer, for devices without canvas. Shows the frames as the background of a div inside a container, the div is
+     * positioned at the trim offset and rotated back for rotated frames. Flip, scale, rotation and opacity are applied to a
+     * div in between with a CSS transform, the tint is not supported.
+     */
+    var SpriteDomRenderer = {
 
-            loadAtlas,
-            onLoadAtlasSuccess,
-            onLoadAtlasImageSuccess,
-            loadAtlasImage,
-            addData,
-            getData,
-            onLoaded,
-            dispatchEvent;
+        /**
+         * Is the renderer supported
+         *
+         * @returns {boolean}
+         */
+        supported: function () {
+
+            "use strict";
+
+            return typeof document !== 'undefined' && typeof document.createElement === 'function';
+        },
+
+
+        /**
+         * Create a DOM renderer
+         *
+         * @param width {number} The width in CSS pixels
+         * @param height {number} The height in CSS pixels
+         * @param layout {{scale: {number}, x: {number}, y: {number}}} The scale and position of the animation in CSS pixels
+         * @returns {{element: HTMLElement, clear: Function, draw: Function, resize: Function}}
+         */
+        create: function (width, height, layout) {
+
+            "use strict";
+
+            var element = document.createElement('div'),
+                content = document.createElement('div'),
+                sprite = document.createElement('div'),
+                source = null,
+                renderer;
+
+            element.style.position = 'relative';
+            element.style.overflow = 'hidden';
+
+            content.style.position = 'absolute';
+            content.style.left = '0';
+            content.style.top = '0';
+            content.style.width = '100%';
+            content.style.height = '100%';
+
+            sprite.style.position = 'absolute';
+            sprite.style.display = 'none';
+            sprite.style.backgroundRepeat = 'no-repeat';
+            setTransformStyle(sprite.style, '', '0 0');
+
+            content.appendChild(sprite);
+            element.appendChild(content);
+
+            renderer = {
+                element: element,
+
+                resize: function (width, height, newLayout) {
+                    layout = newLayout;
+                    element.style.width = width + 'px';
+                    element.style.height = height + 'px';
+                },
+
+                clear: function () {
+                    sprite.style.display = 'none';
+                },
+
+                draw: function (frameData, image, scale, display) {
+                    var frame = frameData.frame,
+                        offset = frameData.spriteSourceSize || {x: 0, y: 0},
+                        ratio = layout.scale / scale,
+                        x = layout.x + offset.x * ratio,
+                        y = layout.y + offset.y * ratio,
+                        w = frame.w * ratio,
+                        h = frame.h * ratio;
+
+                    // Only touch the background image when the frame is on a other image, to prevent reloading it every frame
+                    if (source !== image.src) {
+                        source = image.src;
+                        sprite.style.backgroundImage = 'url("' + source + '")';
+                    }
+
+                    sprite.style.backgroundSize = ((image.naturalWidth || image.width) * ratio) + 'px ' + ((image.naturalHeight || image.height) * ratio) + 'px';
+                    sprite.style.backgroundPosition = (-frame.x * ratio) + 'px ' + (-frame.y * ratio) + 'px';
+                    sprite.style.left = x + 'px';
+                    sprite.style.display = 'block';
+
+                    if (display) {
+                        content.style.opacity = display.alpha;
+                        setTransformStyle(content.style, 'rotate(' + display.rotation + 'deg) scale(' +
+                            (display.scaleX * (display.flipX ? -1 : 1)) + ', ' + (display.scaleY * (display.flipY ? -1 : 1)) + ')',
+                            (layout.x + display.originX * layout.scale) + 'px ' + (layout.y + display.originY * layout.scale) + 'px');
+                    }
+
+                    if (frameData.rotated) {
+                        sprite.style.top = (y + h) + 'px';
+                        sprite.style.width = h + 'px';
+                        sprite.style.height = w + 'px';
+                        setTransformStyle(sprite.style, 'rotate(-90deg)');
+                    } else {
+                        sprite.style.top = y + 'px';
+                        sprite.style.width = w + 'px';
+                        sprite.style.height = h + 'px';
+                        setTransformStyle(sprite.style, '');
+                    }
+                }
+            };
+
+            renderer.resize(width, height, layout);
+
+            return renderer;
+        }
+    };
+
+
+    /**
+     * The registered renderers by name, and the renderers instances pick from when they do not name one, the first supported one is used
+     */
+    var renderers = {},
+        defaultRenderers = ['canvas', 'dom'];
+
+
+    /**
+     * Register a renderer, instances can use it by passing its name to the constructor
+     *
+     * @param name {string} The renderer name
+     * @param renderer {{supported: Function, create: Function}} supported() returns true if the renderer can be used, create(width, height, layout)
+     * returns {element, clear(), draw(frameData, image, scale, display), resize(width, height, layout), destroy()}, resize and destroy are optional
+     */
+    SpriteAnimation.registerRenderer = function (name, renderer) {
+
+        "use strict";
+
+        renderers[name] = renderer;
+    };
+
+    SpriteAnimation.registerRenderer('canvas', SpriteCanvasRenderer);
+    SpriteAnimation.registerRenderer('dom', SpriteDomRenderer);
+
+
+    /**
+     * Stage, draws many sprites on one canvas. A sprite draws on a layer of the stage: pass the layer as renderer to the
+     * SpriteAnimation constructor. Layers have a position, z-order, visibility, scale and opacity. Only the regions that
+     * changed are redrawn, once per tick of the shared ticker for all sprites that changed.
+     *
+     * @param target {element} Optional: The DOM element the canvas is appended to
+     * @param width {number} The width in CSS pixels
+     * @param height {number} The height in CSS pixels
+     * @returns {{add: Function, remove: Function, layers: Function, render: Function, resize: Function, canvas: Function, dispose: Function}}
+     * @constructor
+     */
+    var SpriteStage = function (target, width, height) {
+
+        "use strict";
+
+        var _target = target && target.jquery ? target[0] : target,
+            _width = width,
+            _height = height,
+            _pixelRatio = SpriteEnvironment.getInstance().devicePixelRatio(),
+            _canvas = SpriteEnvironment.getInstance().createCanvas(Math.round(width * _pixelRatio), Math.round(height * _pixelRatio)),
+            _context = _canvas.getContext('2d'),
+            _tintCache = SpriteCanvasRenderer.createTintCache(),
+            _layers = [],
+            _dirty = [],
+            _count = 0,
+            _unwatchPixelRatio,
+
+            createLayer,
+            removeLayer,
+            updateLayer,
+            getBounds,
+            getSortedLayers,
+            resizeCanvas,
+            invalidate,
+            scheduleRender,
+            render,
+            drawLayer,
+            mergeRegions,
+            intersects;
+
+
+        /**
+         * Create a layer, the renderer of one sprite
+         *
+         * @param properties {{x: {number}, y: {number}, z: {number}, visible: {boolean}, scale: {number}, opacity: {number}}} The properties of the layer
+         * @returns {{supported: Function, create: Function, set: Function, get: Function, bounds: Function, remove: Function}}
+         */
+
+        createLayer = function (properties) {
+            var layer = {
+                id: _count += 1,
+                properties: extend({x: 0, y: 0, z: 0, visible: true, scale: 1, opacity: 1}, properties),
+                layout: {scale: 1, x: 0, y: 0},
+                frame: null,
+                bounds: null
+            };
+
+            layer.api = {
+                supported: function () {
+                    return true;
+                },
+
+                create: function (width, height, layout) {
+                    layer.layout = layout;
+
+                    return {
+                        element: _canvas,
+                        shared: true,
+
+                        resize: function (width, height, layout) {
+                            layer.layout = layout;
+                            updateLayer(layer);
+                        },
+
+                        clear: function () {
+                            layer.frame = null;
+                            updateLayer(layer);
+                        },
+
+                        draw: function (frameData, image, scale, display) {
+                            layer.frame = {frameData: frameData, image: image, scale: scale, display: display};
+                            updateLayer(layer);
+                        },
+
+                        destroy: function () {
+                            layer.frame = null;
+                            updateLayer(layer);
+                        }
+                    };
+                },
+
+                set: function (properties) {
+                    extend(layer.properties, properties);
+                    updateLayer(layer);
+                },
 
+                get: function () {
+                    return extend({}, layer.properties);
+                },
+
+                bounds: function () {
+                    return layer.bounds ? extend({}, layer.bounds) : null;
+                },
+
+                remove: function () {
+                    removeLayer(layer);
+                }
+            };
 
+            _layers.push(layer);
 
+            return layer.api;
+        }
 
 
         /**
-         * Private function for loading a atlas (json) file
+         * Remove a layer from the stage
+         *
+         * @param layer {object} The layer
          */
 
-        loadAtlas = function () {
+        removeLayer = function (layer) {
+            var index = _layers.indexOf(layer);
 
-            if (_urls.length > 0) {
-                _url = _urls.pop();
-                _isLoading = true;
-
-                if (getData(_url) || getData(_url) === 'loading') {
-                    loadAtlas();
-                } else {
-                    addData(_url, 'loading');
-                    $.ajax({
-                        dataType: "json",
-                        url: _url,
-                        success: onLoadAtlasSuccess
-                    });
-                }
-            } else {
-                onLoaded();
+            if (index !== -1) {
+                _layers.splice(index, 1);
+                invalidate(layer.bounds);
+                scheduleRender();
             }
         }
 
 
         /**
-         * When Atlas is loaded store the atlas in our Cache and start loading the image
+         * Mark the old and new area of a layer as dirty
          *
-         * @param data {JSON} The atlas
-         * @param status {object}
-         * @param response {object}
-         * @param skipCache {boolean} Skips the save to cache step if true
+         * @param layer {object} The layer
          */
 
-        onLoadAtlasSuccess = function (data, status, response) {
-            _imageName = data.meta.image;
+        updateLayer = function (layer) {
+            var bounds = getBounds(layer);
 
-            addData(_url, data);
-
-            if (!getData(_imageName)) {
-                loadAtlasImage(_url.substr(0, _url.lastIndexOf('/')) + '/' + _imageName);
-            } else {
-                loadAtlas();
-            }
+            invalidate(layer.bounds);
+            invalidate(bounds);
+            layer.bounds = bounds;
+            scheduleRender();
         }
 
 
         /**
-         * Load the current atlas image. Uses a new Image()
+         * Get the area the current frame of a layer covers on the stage, in whole CSS pixels
+         *
+         * @param layer {object} The layer
+         * @returns {{x: number, y: number, w: number, h: number}} The area, null if nothing is shown
          */
 
-        loadAtlasImage = function (url) {
-            var self = this;
+        getBounds = function (layer) {
+            var properties = layer.properties,
+                display = layer.frame && layer.frame.display,
+                frame,
+                offset,
+                scale,
+                corners,
+                left = Infinity,
+                top = Infinity,
+                right = -Infinity,
+                bottom = -Infinity;
+
+            if (!layer.frame || !properties.visible || properties.opacity <= 0 || (display && display.alpha <= 0)) {
+                return null;
+            }
 
+            frame = layer.frame.frameData.frame;
+            offset = layer.frame.frameData.spriteSourceSize || {x: 0, y: 0};
+            scale = layer.frame.scale;
+            corners = [
+                [offset.x / scale, offset.y / scale],
+                [(offset.x + frame.w) / scale, offset.y / scale],
+                [offset.x / scale, (offset.y + frame.h) / scale],
+                [(offset.x + frame.w) / scale, (offset.y + frame.h) / scale]
+            ];
+
+            corners.forEach(function (corner) {
+                var x = corner[0],
+                    y = corner[1],
+                    cos,
+                    sin;
+
+                if (display) {
+                    cos = Math.cos(display.rotation * Math.PI / 180);
+                    sin = Math.sin(display.rotation * Math.PI / 180);
+                    x = (x - display.originX) * display.scaleX * (display.flipX ? -1 : 1);
+                    y = (y - display.originY) * display.scaleY * (display.flipY ? -1 : 1);
+                    corner = [display.originX + x * cos - y * sin, display.originY + x * sin + y * cos];
+                }
 
-            _image = new Image();
-            $(_image).on('load', function () {
-                onLoadAtlasImageSuccess();
+                x = properties.x + properties.scale * (layer.layout.x + corner[0] * layer.layout.scale);
+                y = properties.y + properties.scale * (layer.layout.y + corner[1] * layer.layout.scale);
+                left = Math.min(left, x);
+                top = Math.min(top, y);
+                right = Math.max(right, x);
+                bottom = Math.max(bottom, y);
             });
 
-            _image.src = url;
+            // One extra pixel for the anti-aliased edges
+            return {
+                x: Math.floor(left) - 1,
+                y: Math.floor(top) - 1,
+                w: Math.ceil(right) - Math.floor(left) + 2,
+                h: Math.ceil(bottom) - Math.floor(top) + 2
+            };
         }
 
 
         /**
-         * Called when the image is loaded and stores the image in the cache.
+         * Get the layers in drawing order: by z, then in the order they were added
          *
-         * @param event {object}
-         * @param skipCache {boolean}
+         * @returns {Array}
          */
 
-        onLoadAtlasImageSuccess = function (event) {
-            addData(_imageName, _image);
-            loadAtlas();
+        getSortedLayers = function () {
+            return _layers.slice().sort(function (a, b) {
+                return (a.properties.z - b.properties.z) || (a.id - b.id);
+            });
         }
 
 
         /**
-         * Add data to the SpriteCache
-         *
-         * @param url {string} URL of the data
-         * @param data {json|Image} Data
+         * Size the backing store of the canvas by the device pixel ratio and redraw everything
          */
-        addData = function (url, data) {
-            if (data instanceof Image) {
-                _images[url] = data;
-            } else {
-                _atlases[url] = data;
+
+        resizeCanvas = function () {
+            _pixelRatio = SpriteEnvironment.getInstance().devicePixelRatio();
+            _canvas.width = Math.round(_width * _pixelRatio);
+            _canvas.height = Math.round(_height * _pixelRatio);
+
+            if (_canvas.style) {
+                _canvas.style.width = _width + 'px';
+                _canvas.style.height = _height + 'px';
             }
+
+            invalidate({x: 0, y: 0, w: _width, h: _height});
+            scheduleRender();
         }
 
 
         /**
-         * Get data from the SpriteCache
+         * Mark a region as dirty
          *
-         * @param url
+         * @param region {{x: number, y: number, w: number, h: number}} The region, ignored if null
          */
 
-        getData = function (url) {
-            if (_atlases[url]) {
-                return _atlases[url];
-            } else if (_images[url]) {
-                return _images[url];
+        invalidate = function (region) {
+            if (region) {
+                _dirty.push(region);
             }
+        }
 
-            return null;
+
+        /**
+         * Render at the end of the next tick of the shared ticker, after the sprites advanced their frames, so all sprites
+         * that change in a tick are drawn together
+         */
+
+        scheduleRender = function () {
+            SpriteTicker.getInstance().once(render);
         }
 
 
         /**
-         * Called when done loading
+         * Redraw the dirty regions
          */
-        onLoaded = function () {
-            _loaded = true;
-            _isLoading = false;
-            dispatchEvent('sprite-cache:loaded');
+
+        render = function () {
+            var regions = mergeRegions(_dirty),
+                layers = getSortedLayers();
+
+            _dirty = [];
+
+            regions.forEach(function (region) {
+                _context.setTransform(_pixelRatio, 0, 0, _pixelRatio, 0, 0);
+                _context.save();
+                _context.beginPath();
+                _context.rect(region.x, region.y, region.w, region.h);
+                _context.clip();
+                _context.clearRect(region.x, region.y, region.w, region.h);
+
+                layers.forEach(function (layer) {
+                    if (layer.bounds && intersects(layer.bounds, region)) {
+                        drawLayer(layer);
+                    }
+                });
+
+                _context.restore();
+            });
         }
 
 
         /**
-         * Dispatch a event
-         * @param event {string}
+         * Draw the current frame of a layer
+         *
+         * @param layer {object} The layer
+         */
+
+        drawLayer = function (layer) {
+            var properties = layer.properties,
+                display = layer.frame.display;
+
+            _context.save();
+            _context.translate(properties.x, properties.y);
+            _context.scale(properties.scale, properties.scale);
+            _context.translate(layer.layout.x, layer.layout.y);
+            _context.scale(layer.layout.scale, layer.layout.scale);
+            _context.globalAlpha = properties.opacity * (display ? display.alpha : 1);
+
+            SpriteCanvasRenderer.transform(_context, display);
+            SpriteCanvasRenderer.drawFrame(_context, layer.frame.frameData, layer.frame.image, layer.frame.scale, display, _tintCache);
+
+            _context.restore();
+        }
+
+
+        /**
+         * Merge overlapping regions
+         *
+         * @param regions {Array} The dirty regions
+         * @returns {Array} Regions that do not overlap
          */
 
-        dispatchEvent = function (event) {
-            _eventDispatcher.trigger(event);
+        mergeRegions = function (regions) {
+            var merged = [],
+                region,
+                merging,
+                index;
+
+            regions.forEach(function (dirty) {
+                region = dirty;
+
+                do {
+                    merging = false;
+
+                    for (index = merged.length - 1; index >= 0; index -= 1) {
+                        if (intersects(merged[index], region)) {
+                            region = {
+                                x: Math.min(merged[index].x, region.x),
+                                y: Math.min(merged[index].y, region.y),
+                                w: Math.max(merged[index].x + merged[index].w, region.x + region.w) - Math.min(merged[index].x, region.x),
+                                h: Math.max(merged[index].y + merged[index].h, region.y + region.h) - Math.min(merged[index].y, region.y)
+                            };
+                            merged.splice(index, 1);
+                            merging = true;
+                        }
+                    }
+                } while (merging);
+
+                merged.push(region);
+            });
+
+            return merged;
         }
 
 
-        SpriteCache._instance = {
+        /**
+         * Do two regions overlap
+         *
+         * @param a {{x: number, y: number, w: number, h: number}}
+         * @param b {{x: number, y: number, w: number, h: number}}
+         * @returns {boolean}
+         */
 
-            /**
-             * Load a Atlas or multiple atlasses
-             *
-             * @param urls {string|array} A single or multiple JSON atlas files
-             * @param retinaUrls {string|array} A single or multiple JSON retina atlas files
-             */
-            load: function (urls, retinaUrls, isRetina) {
-                var loadUrls;
+        intersects = function (a, b) {
+            return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+        }
 
-                if (typeof urls === "string") {
-                    urls = [urls];
-                }
 
-                if (typeof retinaUrls === "string") {
-                    retinaUrls = [retinaUrls];
-                }
+        resizeCanvas();
+        _unwatchPixelRatio = SpriteEnvironment.getInstance().watchPixelRatio(resizeCanvas);
 
-                if (isRetina && retinaUrls) {
-                    loadUrls = retinaUrls;
-                } else {
-                    loadUrls = urls;
-                }
+        if (_target) {
+            _target.appendChild(_canvas);
+        }
 
 
-                _urls = _urls ? _urls.concat(loadUrls) : loadUrls;
+        return {
 
-                if (!_isLoading) {
-                    loadAtlas();
-                }
+            /**
+             * Add a layer. Pass it as renderer to a SpriteAnimation to draw the sprite on the stage:
+             * new SpriteAnimation(null, false, true, true, stage.add({x: 10, y: 10}))
+             *
+             * @param properties {{x: {number}, y: {number}, z: {number}, visible: {boolean}, scale: {number}, opacity: {number}}} Optional: The position in CSS pixels (Default: 0, 0),
+             * the z-order (Default: 0), the visibility (Default: true), the scale (Default: 1) and the opacity (Default: 1)
+             * @returns {{supported: Function, create: Function, set: Function, get: Function, bounds: Function, remove: Function}} The layer, change its properties with set()
+             */
+            add: function (properties) {
+                return createLayer(properties);
             },
 
 
             /**
-             * Add data to the SpriteCache instance
+             * Remove a layer
              *
-             * @param url {string} The url of the data object
-             * @param value {json|image}
+             * @param layer {object} The layer returned by add()
              */
-            add: function (url, value) {
-                addData(url, value);
+            remove: function (layer) {
+                layer.remove();
             },
 
 
             /**
-             * Get data from the SpriteCache instance
-             * @param url {string} The url of the data object
-             * @returns {json|Image}
+             * Get the layers in drawing order
+             *
+             * @returns {Array}
              */
-            get: function (url) {
-                if (getData[url]) {
-                    return getData[url];
-                }
-                return null;
+            layers: function () {
+                return getSortedLayers().map(function (layer) {
+                    return layer.api;
+                });
             },
 
+
             /**
-             *  Return the SpriteCache atlases
+             * Redraw the dirty regions right away instead of at the end of the next tick
+             */
+            render: function () {
+                render();
+            },
+
+
+            /**
+             * Resize the stage
              *
-             * @returns {Array} Atlases in cache
+             * @param width {number} The width in CSS pixels
+             * @param height {number} The height in CSS pixels
              */
-            atlases: function () {
-                return _atlases;
+            resize: function (width, height) {
+                _width = width;
+                _height = height;
+                resizeCanvas();
             },
 
 
             /**
-             * Return the SpriteCache images
+             * Get the canvas of the stage
              *
-             * @returns {Array} Images in cache
+             * @returns {HTMLCanvasElement}
              */
-            images: function () {
-                return _images
+            canvas: function () {
+                return _canvas;
             },
 
 
             /**
-             * Flush a url or set of urls from the the SpriteCache. If no urls are passed ALL will be flushed
-             * @param url {array|string} URLs of the atlases
+             * Remove the canvas and stop following the device pixel ratio. Dispose the sprites on the stage first.
              */
-            flush: function (urls) {
-                if (typeof urls === 'string') {
-                    urls = [urls];
-                }
+            dispose: function () {
+                _unwatchPixelRatio();
+                _layers = [];
+                _dirty = [];
 
-                if (urls === undefined) {
-                    _atlases = [];
-                    _images = [];
-                } else {
-                    var url,
-                        index;
-
-                    for (index in urls) {
-                        url = urls[index];
-                        if (_atlases[url] !== undefined && _atlases[url].meta !== undefined) {
-                            if (_images[_atlases[url].meta.image] !== undefined) {
-                                delete _images[_atlases[url].meta.image];
-                            }
-                            delete _atlases[url];
-                        }
-                    }
+                if (_canvas.parentNode) {
+                    _canvas.parentNode.removeChild(_canvas);
                 }
-            },
+            }
+        };
+    };
+
+
+    /**
+     * A minimal event emitter, compatible with the jQuery on, one and off used before. Listeners are called with a event
+     * object {type, target, timeStamp, stopImmediatePropagation} followed by the arguments of the event.
+     *
+     * @returns {{on: Function, one: Function, off: Function, trigger: Function}}
+     * @constructor
+     */
+    var SpriteEventEmitter = function () {
+
+        "use strict";
+
+        var _listeners = {},
+            _emitter,
+
+            getTypes,
+            addListener;
+
+
+        /**
+         * Split a space separated list of event names
+         *
+         * @param events {string}
+         * @returns {Array}
+         */
+
+        getTypes = function (events) {
+            return String(events).split(/\s+/).filter(function (type) {
+                return type !== '';
+            });
+        }
+
+
+        /**
+         * Add a listener for one or more events
+         *
+         * @param events {string} Space separated event names
+         * @param listener {function} The callback function
+         * @param scope {object} The callback function's scope
+         * @param once {boolean} Remove the listener after the first call
+         */
+
+        addListener = function (events, listener, scope, once) {
+            var types = getTypes(events),
+                index;
+
+            if (typeof listener !== 'function') {
+                return;
+            }
+
+            for (index = 0; index < types.length; index += 1) {
+                _listeners[types[index]] = _listeners[types[index]] || [];
+                _listeners[types[index]].push({listener: listener, scope: scope, once: once});
+            }
+        }
+
 
+        _emitter = {
 
             /**
-             * Add a listener to the SpriteCache instance
+             * Add a listener
              *
-             * @param event {string} The event name
+             * @param events {string} Space separated event names
              * @param listener {function} The callback function
              * @param scope {object} The callback function's scope
              */
-            on: function (event, listener, scope) {
-                _eventDispatcher.on(event, listener, scope);
+            on: function (events, listener, scope) {
+                addListener(events, listener, scope, false);
             },
 
 
             /**
-             * Add a listener to the SpriteCache instance ONCE
+             * Add a listener that is removed after the first call
              *
-             * @param event {string} The event name
+             * @param events {string} Space separated event names
              * @param listener {function} The callback function
              * @param scope {object} The callback function's scope
              */
-            one: function (event, listener, scope) {
-                _eventDispatcher.one(event, listener, scope);
+            one: function (events, listener, scope) {
+                addListener(events, listener, scope, true);
             },
 
 
             /**
-             * Remove a listener of the SpriteCache instance
+             * Remove listeners. Without a listener all listeners of the events are removed, without events all listeners.
              *
-             * @param event {string} The event name
-             * @param listener {function} The callback function
-             * @param scope {object} The callback function's scope
+             * @param events {string} Optional: Space separated event names
+             * @param listener {function} Optional: The callback function
+             * @param scope {object} Optional: The callback function's scope
              */
-            off: function (event, listener, scope) {
-                _eventDispatcher.off(event, listener, scope);
-            }
+            off: function (events, listener, scope) {
+                var types = events ? getTypes(events) : Object.keys(_listeners),
+                    index;
+
+                types.forEach(function (type) {
+                    if (_listeners[type]) {
+                        for (index = _listeners[type].length - 1; index >= 0; index -= 1) {
+                            if ((!listener || _listeners[type][index].listener === listener) && (!scope || _listeners[type][index].scope === scope)) {
+                                _listeners[type].splice(index, 1);
+                            }
+                        }
+                    }
+                });
+            },
+
+
+            /**
+             * Call the listeners of a event
+             *
+             * @param type {string} The event name
+             * @param args {Array} Optional: The arguments passed to the listeners after the event object
+             */
+            trigger: function (type, args) {
+                var listeners = (_listeners[type] || []).slice(),
+                    stopped = false,
+                    event = {
+                        type: type,
+                        target: _emitter,
+                        timeStamp: new Date().getTime(),
+                        stopImmediatePropagation: function () {
+                            stopped = true;
+                        },
+                        isImmediatePropagationStopped: function () {
+                            return stopped;
+                        }
+                    },
+                    index;
 
+                args = [event].concat(args === undefined ? [] : args);
+
+                for (index = 0; index < listeners.length && !stopped; index += 1) {
+                    if (listeners[index].once) {
+                        _emitter.off(type, listeners[index].listener, listeners[index].scope);
+                    }
+
+                    listeners[index].listener.apply(listeners[index].scope || _emitter, args);
+                }
+            }
         };
 
-        return SpriteCache._instance;
+        return _emitter;
+    };
+
+
+    /**
+     * Copy the properties of one or more objects to a target object
+     *
+     * @param target {object} The object to extend
+     * @returns {object} The target
+     */
+    var extend = function (target) {
 
+        "use strict";
+
+        var index,
+            name;
+
+        for (index = 1; index < arguments.length; index += 1) {
+            if (arguments[index]) {
+                for (name in arguments[index]) {
+                    if (arguments[index].hasOwnProperty(name)) {
+                        target[name] = arguments[index][name];
+                    }
+                }
+            }
+        }
+
+        return target;
     };
 
+
     /**
-     * SpriteCache singleton pattern
+     * Set a CSS transform and its origin, with the vendor prefixed properties for old WebKit, Firefox and IE browsers
+     * that ignore the unprefixed ones
      *
-     * @returns {{add: Function, get: Function, flush: Function}|*|SpriteCache}
+     * @param style {CSSStyleDeclaration} The style of the element
+     * @param transform {string} The transform, a empty string removes it
+     * @param origin {string} Optional: The transform origin
      */
-    SpriteCache.getInstance = function () {
+    var setTransformStyle = function (style, transform, origin) {
 
         "use strict";
 
-        return SpriteCache._instance || new SpriteCache();
-    }
+        ['webkit', 'Moz', 'ms', ''].forEach(function (prefix) {
+            style[prefix ? prefix + 'Transform' : 'transform'] = transform;
+
+            if (origin !== undefined) {
+                style[prefix ? prefix + 'TransformOrigin' : 'transformOrigin'] = origin;
+            }
+        });
+    };
+
+
+    // The number of images that got a id
+    var imageCount = 0;
+
+
+    /**
+     * Get the id of a image, assigned when the image is added to the cache or on first use. The id is kept on the image.
+     *
+     * @param image {Image|HTMLCanvasElement|ImageBitmap} The image
+     * @returns {number} The id
+     */
+    var getImageId = function (image) {
+
+        "use strict";
+
+        if (image._spriteAnimationId === undefined) {
+            imageCount += 1;
+            image._spriteAnimationId = imageCount;
+        }
+
+        return image._spriteAnimationId;
+    };
+
 
+    /**
+     * Create a Promise. Browsers without Promise, the same old browsers that have no canvas, get undefined: the executor
+     * still runs so the callbacks and events work, only the Promise is missing.
+     *
+     * @param executor {function} Called with resolve and reject
+     * @returns {Promise}
+     */
+    var createPromise = function (executor) {
+
+        "use strict";
+
+        var noop = function () {};
+
+        if (typeof Promise === 'undefined') {
+            executor(noop, noop);
+            return undefined;
+        }
+
+        return new Promise(executor);
+    };
+
+
+    // The other classes are exposed as statics, so they can be used without a instance: SpriteAnimation.SpriteCache.getInstance().load(urls)
+    SpriteAnimation.SpriteAnimation = SpriteAnimation;
+    SpriteAnimation.SpriteCache = SpriteCache;
+    SpriteAnimation.SpriteTicker = SpriteTicker;
+    SpriteAnimation.SpriteEnvironment = SpriteEnvironment;
+    SpriteAnimation.SpriteStateMachine = SpriteStateMachine;
+    SpriteAnimation.SpriteStage = SpriteStage;
+    SpriteAnimation.SpriteEventEmitter = SpriteEventEmitter;
+
+
+    // Optional jQuery adapter: $('#target').spriteAnimation() returns a SpriteAnimation for the first element
+    if ($ && $.fn) {
+        $.fn.spriteAnimation = function (autoAppend, ignoreAtlasScale, ignoreRetina) {
+            return new SpriteAnimation(this[0], autoAppend, ignoreAtlasScale, ignoreRetina);
+        };
+    }
 
     return SpriteAnimation;
 
@@ -0,0 +1,19 @@
+/**
+ * ES module entry of sprite-animation.js, for Node and bundlers. It imports the UMD file, which needs the CommonJS interop
+ * of Node or the bundler: browsers without a bundler load sprite-animation.js with a script tag and use the global.
+ *
+ * @name sprite-animation.mjs
+ */
+
+import SpriteAnimation from './sprite-animation.js';
+
+export var SpriteCache = SpriteAnimation.SpriteCache;
+export var SpriteTicker = SpriteAnimation.SpriteTicker;
+export var SpriteEnvironment = SpriteAnimation.SpriteEnvironment;
+export var SpriteStateMachine = SpriteAnimation.SpriteStateMachine;
+export var SpriteStage = SpriteAnimation.SpriteStage;
+export var SpriteEventEmitter = SpriteAnimation.SpriteEventEmitter;
+export var registerRenderer = SpriteAnimation.registerRenderer;
+
+export { SpriteAnimation };
+export default SpriteAnimation;
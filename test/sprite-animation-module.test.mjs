@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createRequire } from 'node:module';
+import SpriteAnimation, * as named from '../src/sprite-animation.mjs';
+
+
+var require = createRequire(import.meta.url);
+
+
+test('exports the same classes as the CommonJS module', function () {
+    var commonjs = require('..'),
+        names = Object.keys(commonjs).filter(function (name) {
+            return name !== 'SpriteAnimation';
+        });
+
+    assert.strictEqual(SpriteAnimation, commonjs);
+    assert.strictEqual(named.SpriteAnimation, commonjs);
+
+    names.forEach(function (name) {
+        assert.strictEqual(named[name], commonjs[name], name);
+    });
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    SpriteAnimation = require('..');
+
+
+var names = ['walk/left/0001', 'walk/left/0002', 'walk/left/0003', 'walk/left/0010', 'jump_1.png', 'jump_2.png', 'jump_10.png'],
+    drawn = [],
+    warnings = [],
+    warn = console.warn;
+
+
+/**
+ * Get the names of the frames of a animation, by drawing every frame
+ *
+ * @param sprite {SpriteAnimation}
+ * @param animation {string}
+ * @returns {Array}
+ */
+function getFrameNames(sprite, animation) {
+    var frames = [],
+        index;
+
+    sprite.setAnimation(animation);
+
+    for (index = 0; index < sprite.length(animation); index += 1) {
+        drawn.length = 0;
+        sprite.frame(index);
+        frames.push(names[drawn[0] / 10]);
+    }
+
+    return frames;
+}
+
+
+/**
+ * Create a sprite with every selector form of the tests, loaded from the test atlas
+ *
+ * @returns {Promise} Resolves with the sprite
+ */
+function createSprite() {
+    var sprite = new SpriteAnimation(null);
+
+    return sprite.load('selectors.json').then(function () {
+        sprite.addAnimation('names', ['jump_2.png', 'jump_1.png', 'jump_2.png'], 10);
+        sprite.addAnimation('numbers', [1, 2, 3, 2, 1], 10);
+        sprite.addAnimation('glob', 'walk/left/*', 10);
+        sprite.addAnimation('regex', /^jump_\d+\.png$/, 10);
+        sprite.addAnimation('printf', 'walk/left/%04d', 10);
+        sprite.addAnimation('range', {pattern: 'walk/left/%04d', start: 3, end: 1, step: -2}, 10);
+        sprite.addAnimation('matched', {frames: [2, 0], match: 'jump_*.png'}, 10);
+        sprite.addAnimation('missing', [1, 20], 10);
+        sprite.addAnimation('empty', 'run_*.png', 10);
+
+        return sprite;
+    });
+}
+
+
+SpriteAnimation.SpriteEnvironment.getInstance().configure({
+    canvasSupported: function () {
+        return true;
+    },
+
+    createCanvas: function (width, height) {
+        var canvas = {
+                width: width,
+                height: height,
+                sources: []
+            },
+            context = {
+                setTransform: function () {},
+                clearRect: function () {},
+                fillRect: function () {},
+                translate: function () {},
+                rotate: function () {},
+                scale: function () {},
+                save: function () {},
+                restore: function () {},
+                drawImage: function (image, x) {
+                    canvas.sources.push(image);
+                    drawn.push(x);
+                }
+            };
+
+        canvas.getContext = function () {
+            return context;
+        };
+
+        return canvas;
+    },
+
+    fetch: function (url, options, callback) {
+        var frames = {};
+
+        names.forEach(function (name, index) {
+            frames[name] = {frame: {x: index * 10, y: 0, w: 10, h: 10}};
+        });
+
+        setImmediate(callback, null, JSON.stringify({frames: frames, meta: {image: 'selectors.png', scale: 1}}));
+    },
+
+    loadImage: function (url, callback) {
+        setImmediate(callback, null, {width: 70, height: 10, src: url});
+    }
+});
+
+console.warn = function (message) {
+    warnings.push(message);
+};
+
+test.after(function () {
+    console.warn = warn;
+});
+
+
+test('selects a explicit list of frame names, frames can repeat', function () {
+    return createSprite().then(function (sprite) {
+        assert.deepStrictEqual(getFrameNames(sprite, 'names'), ['jump_2.png', 'jump_1.png', 'jump_2.png']);
+        sprite.dispose();
+    });
+});
+
+
+test('picks bare frame numbers from the frames of the atlas in natural order', function () {
+    return createSprite().then(function (sprite) {
+        assert.deepStrictEqual(getFrameNames(sprite, 'numbers'), ['jump_2.png', 'jump_10.png', 'walk/left/0001', 'jump_10.png', 'jump_2.png']);
+        sprite.dispose();
+    });
+});
+
+
+test('selects the frames matching a glob or regular expression in natural order', function () {
+    return createSprite().then(function (sprite) {
+        assert.deepStrictEqual(getFrameNames(sprite, 'glob'), ['walk/left/0001', 'walk/left/0002', 'walk/left/0003', 'walk/left/0010']);
+        assert.deepStrictEqual(getFrameNames(sprite, 'regex'), ['jump_1.png', 'jump_2.png', 'jump_10.png']);
+        assert.deepStrictEqual(getFrameNames(sprite, 'matched'), ['jump_10.png', 'jump_1.png']);
+        sprite.dispose();
+    });
+});
+
+
+test('formats printf patterns until the first missing frame or over a range with a step', function () {
+    return createSprite().then(function (sprite) {
+        assert.deepStrictEqual(getFrameNames(sprite, 'printf'), ['walk/left/0001', 'walk/left/0002', 'walk/left/0003']);
+        assert.deepStrictEqual(getFrameNames(sprite, 'range'), ['walk/left/0003', 'walk/left/0001']);
+        sprite.dispose();
+    });
+});
+
+
+test('warns about frame numbers and selectors that resolve to no frames', function () {
+    warnings.length = 0;
+
+    return createSprite().then(function (sprite) {
+        assert.deepStrictEqual(getFrameNames(sprite, 'missing'), ['jump_2.png']);
+        assert.strictEqual(sprite.length('empty'), 0);
+        assert.deepStrictEqual(warnings, [
+            'SpriteAnimation: frame 20 of the selector [1, 20] is not found, there are 7 frames.',
+            'SpriteAnimation: the selector run_*.png matches no frames in the atlases of the animation.'
+        ]);
+        sprite.dispose();
+    });
+});
+
+
+test('rejects load() and settles play() when no renderer is supported', function () {
+    var target = {className: 'hero'},
+        sprite = new SpriteAnimation(target, null, null, null, {
+            supported: function () {
+                return false;
+            }
+        }),
+        errors = [];
+
+    sprite.on('sprite-animation:error', function (event, url, error) {
+        errors.push(error.message);
+    });
+
+    return sprite.load('selectors.json').then(function () {
+        assert.fail('load() resolved');
+    }, function (error) {
+        assert.strictEqual(error.message, 'No renderer is supported');
+        assert.deepStrictEqual(errors, ['No renderer is supported']);
+
+        return sprite.load('selectors.json');
+    }).catch(function () {
+        assert.strictEqual(target.className, 'hero no-canvas');
+
+        return sprite.play('names');
+    }).then(function (result) {
+        assert.deepStrictEqual(result, {animation: 'names', completed: false, reason: 'unsupported'});
+    });
+});
+
+
+test('tints frames of images without a src apart and keeps the tinted frames', function () {
+    var sprite = new SpriteAnimation(null),
+        red = {width: 10, height: 10},
+        blue = {width: 10, height: 10},
+        frame = {x: 0, y: 0, w: 10, h: 10},
+        cache = sprite.cache(),
+        tinted = [];
+
+    cache.add('generated/red', red);
+    cache.add('generated/blue', blue);
+    cache.add('generated.json', {
+        frames: {
+            'red': {frame: frame, image: 'generated/red'},
+            'blue': {frame: frame, image: 'generated/blue'}
+        },
+        meta: {images: ['generated/red', 'generated/blue'], scale: 1}
+    });
+
+    return sprite.load('selectors.json').then(function () {
+        var element;
+
+        sprite.addAnimation('generated', ['red', 'blue'], 10, {atlas: 'generated.json'});
+        sprite.setAnimation('generated');
+        sprite.tint('#ff0000');
+        sprite.frame(0);
+        element = sprite.canvas();
+
+        [0, 1, 0].forEach(function (index) {
+            element.sources.length = 0;
+            sprite.frame(index);
+            tinted.push(element.sources[0]);
+        });
+
+        assert.notStrictEqual(tinted[0], tinted[1]);
+        assert.strictEqual(tinted[2], tinted[0]);
+        assert.deepStrictEqual(tinted[0].sources, [red, red]);
+        assert.deepStrictEqual(tinted[1].sources, [blue, blue]);
+        sprite.dispose();
+    });
+});
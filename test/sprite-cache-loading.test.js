@@ -0,0 +1,175 @@
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    SpriteAnimation = require('..');
+
+
+var cache = SpriteAnimation.SpriteCache.getInstance(),
+    atlas = JSON.stringify({frames: {'idle_01.png': {frame: {x: 0, y: 0, w: 10, h: 10}}}, meta: {image: 'idle.png'}}),
+    requests = [],
+    timers = [],
+    images = [];
+
+
+/**
+ * A XMLHttpRequest stub, the test answers the requests
+ */
+function FakeRequest() {
+    requests.push(this);
+}
+
+FakeRequest.prototype.open = function (method, url) {
+    this.url = url;
+};
+
+FakeRequest.prototype.send = function () {};
+
+FakeRequest.prototype.respond = function (status, body) {
+    this.status = status;
+    this.statusText = status === 404 ? 'Not Found' : 'Server Error';
+    this.responseText = body;
+    this.onload();
+};
+
+
+/**
+ * Run the delayed calls that are pending
+ *
+ * @returns {Array} The delays of the calls
+ */
+function runTimers() {
+    var pending = timers;
+
+    timers = [];
+    pending.forEach(function (timer) {
+        timer.callback();
+    });
+
+    return pending.map(function (timer) {
+        return timer.delay;
+    });
+}
+
+
+global.XMLHttpRequest = FakeRequest;
+
+SpriteAnimation.SpriteEnvironment.getInstance().configure({
+    setTimeout: function (callback, delay) {
+        var timer = {callback: callback, delay: delay};
+
+        timers.push(timer);
+        return timer;
+    },
+
+    clearTimeout: function (timer) {
+        timers = timers.filter(function (pending) {
+            return pending !== timer;
+        });
+    },
+
+    loadImage: function (url, callback) {
+        images.push({url: url, callback: callback});
+    }
+});
+
+cache.configure({timeout: 0, retries: 2, retryDelay: 100, backoff: 2});
+
+
+test('retries a failing atlas request with a growing delay', function () {
+    var promise = cache.load('retry/idle.json'),
+        delays = [];
+
+    requests[0].respond(500);
+    delays = delays.concat(runTimers());
+    requests[1].onerror();
+    delays = delays.concat(runTimers());
+    requests[2].respond(200, atlas);
+    images.shift().callback(null, {width: 10, height: 10, src: 'retry/idle.png'});
+
+    return promise.then(function (urls) {
+        assert.deepStrictEqual(urls, ['retry/idle.json']);
+        assert.deepStrictEqual(delays, [100, 200]);
+        assert.deepStrictEqual(requests.map(function (request) {
+            return request.url;
+        }), ['retry/idle.json', 'retry/idle.json', 'retry/idle.json']);
+    });
+});
+
+
+test('rejects after the last retry and loads again on the next load()', function () {
+    var errors = [],
+        listener = function (event, url, error) {
+            errors.push(error.message);
+        },
+        promise;
+
+    requests.length = 0;
+    cache.on('sprite-cache:error', listener);
+    promise = cache.load('timeout/idle.json');
+
+    requests[0].ontimeout();
+    runTimers();
+    requests[1].ontimeout();
+    runTimers();
+    requests[2].ontimeout();
+
+    return promise.then(function () {
+        assert.fail('load() resolved');
+    }, function (error) {
+        cache.off('sprite-cache:error', listener);
+
+        assert.strictEqual(error.message, 'Failed to load atlas timeout/idle.json: timeout');
+        assert.strictEqual(error.url, 'timeout/idle.json');
+        assert.strictEqual(error.atlas, 'timeout/idle.json');
+        assert.deepStrictEqual(errors, [error.message]);
+        assert.strictEqual(runTimers().length, 0);
+
+        promise = cache.load('timeout/idle.json');
+        requests[3].respond(200, atlas);
+        images.shift().callback(null, {width: 10, height: 10, src: 'timeout/idle.png'});
+
+        return promise;
+    });
+});
+
+
+test('does not retry a missing atlas', function () {
+    var promise;
+
+    requests.length = 0;
+    promise = cache.load('missing/idle.json');
+    requests[0].respond(404);
+
+    return promise.then(function () {
+        assert.fail('load() resolved');
+    }, function (error) {
+        assert.strictEqual(error.message, 'Failed to load atlas missing/idle.json: Not Found');
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(timers.length, 0);
+    });
+});
+
+
+test('retries a failing image and rejects the atlas with the image url', function () {
+    var promise;
+
+    requests.length = 0;
+    promise = cache.load('images/idle.json');
+    requests[0].respond(200, atlas);
+
+    images.shift().callback('error');
+    assert.deepStrictEqual(runTimers(), [100]);
+    images.shift().callback('error');
+    assert.deepStrictEqual(runTimers(), [200]);
+    images.shift().callback('error');
+
+    return promise.then(function () {
+        assert.fail('load() resolved');
+    }, function (error) {
+        assert.strictEqual(error.message, 'Failed to load atlas image images/idle.png: error');
+        assert.strictEqual(error.url, 'images/idle.png');
+        assert.strictEqual(error.atlas, 'images/idle.json');
+        assert.strictEqual(cache.atlases()['images/idle.json'], undefined);
+    });
+});
@@ -0,0 +1,318 @@
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    SpriteAnimation = require('..');
+
+
+var cache = SpriteAnimation.SpriteCache.getInstance(),
+    files = {},
+    sizes = {},
+    drawn = [];
+
+
+/**
+ * Create a TexturePacker JSON hash atlas with frames of the given size in one row
+ *
+ * @param image {string} The image name
+ * @param names {Array} The frame names
+ * @param size {number} The frame width and height
+ * @returns {string}
+ */
+function createAtlas(image, names, size) {
+    var frames = {};
+
+    names.forEach(function (name, index) {
+        frames[name] = {frame: {x: index * size, y: 0, w: size, h: size}};
+    });
+
+    return JSON.stringify({frames: frames, meta: {image: image, scale: 1}});
+}
+
+
+SpriteAnimation.SpriteEnvironment.getInstance().configure({
+    canvasSupported: function () {
+        return true;
+    },
+
+    createCanvas: function (width, height) {
+        return {
+            width: width,
+            height: height,
+            getContext: function () {
+                return {
+                    setTransform: function () {},
+                    clearRect: function () {},
+                    translate: function () {},
+                    rotate: function () {},
+                    scale: function () {},
+                    save: function () {},
+                    restore: function () {},
+                    drawImage: function (image, x, y, w, h) {
+                        drawn.push([image.src, x, y, w, h]);
+                    }
+                };
+            }
+        };
+    },
+
+    fetch: function (url, options, callback) {
+        if (files[url] === undefined) {
+            setImmediate(callback, {status: 'error', code: 404, message: 'Not found'});
+        } else {
+            setImmediate(callback, null, files[url]);
+        }
+    },
+
+    loadImage: function (url, callback) {
+        var size = sizes[url] || {width: 64, height: 64};
+
+        setImmediate(callback, null, {width: size.width, height: size.height, src: url});
+    }
+});
+
+
+test('caches the images of variants with the same image name by url', function () {
+    files['1x/hero.json'] = createAtlas('hero.png', ['walk_01.png', 'walk_02.png'], 10);
+    files['2x/hero.json'] = createAtlas('hero.png', ['walk_01.png', 'walk_02.png'], 20);
+
+    return Promise.all([cache.load('1x/hero.json'), cache.load('2x/hero.json')]).then(function () {
+        var atlases = cache.atlases();
+
+        assert.deepStrictEqual(atlases['1x/hero.json'].meta.images, ['1x/hero.png']);
+        assert.deepStrictEqual(atlases['2x/hero.json'].meta.images, ['2x/hero.png']);
+        assert.strictEqual(atlases['2x/hero.json'].frames['walk_02.png'].image, '2x/hero.png');
+        assert.strictEqual(cache.image('1x/hero.png').src, '1x/hero.png');
+        assert.strictEqual(cache.image('2x/hero.png').src, '2x/hero.png');
+    });
+});
+
+
+test('draws the frames of a variant from the image of that variant', function () {
+    var sprite = new SpriteAnimation(null);
+
+    files['1x/coin.json'] = createAtlas('coin.png', ['spin_01.png', 'spin_02.png'], 10);
+    files['2x/coin.json'] = createAtlas('coin.png', ['spin_01.png', 'spin_02.png'], 20);
+
+    return cache.load('1x/coin.json').then(function () {
+        return sprite.load('2x/coin.json');
+    }).then(function () {
+        sprite.addAnimation('spin', 'spin_%%.png', '%', 1, 10);
+        sprite.setAnimation('spin');
+        drawn.length = 0;
+        sprite.frame(1);
+
+        assert.deepStrictEqual(drawn, [['2x/coin.png', 20, 0, 20, 20]]);
+        sprite.dispose();
+    });
+});
+
+
+/**
+ * Load a image as a grid spritesheet
+ *
+ * @param url {string} The image url
+ * @param size {{width: number, height: number}} The image size
+ * @param grid {object} The grid descriptor
+ * @returns {Promise} Resolves with the frame rects by name
+ */
+function loadGrid(url, size, grid) {
+    sizes[url] = size;
+
+    return cache.load(url, null, 1, {grid: grid}).then(function () {
+        var frames = cache.atlases()[url].frames,
+            rects = {};
+
+        Object.keys(frames).forEach(function (name) {
+            rects[name] = [frames[name].frame.x, frames[name].frame.y, frames[name].frame.w, frames[name].frame.h];
+        });
+
+        return rects;
+    });
+}
+
+
+test('cuts the cells of a grid between the margin and the spacing', function () {
+    return loadGrid('grids/tiles.png', {width: 70, height: 46}, {cellWidth: 20, cellHeight: 20, margin: 2, spacing: 2}).then(function (rects) {
+        assert.deepStrictEqual(rects, {
+            tiles_0: [2, 2, 20, 20],
+            tiles_1: [24, 2, 20, 20],
+            tiles_2: [46, 2, 20, 20],
+            tiles_3: [2, 24, 20, 20],
+            tiles_4: [24, 24, 20, 20],
+            tiles_5: [46, 24, 20, 20]
+        });
+    });
+});
+
+
+test('stops at the frame count of a grid', function () {
+    return loadGrid('grids/items.png', {width: 30, height: 20}, {columns: 3, rows: 2, frameCount: 4, prefix: 'item-'}).then(function (rects) {
+        assert.deepStrictEqual(Object.keys(rects), ['item-0', 'item-1', 'item-2', 'item-3']);
+        assert.deepStrictEqual(rects['item-3'], [0, 10, 10, 10]);
+    });
+});
+
+
+test('slices a grid without rows as a strip as high as the image', function () {
+    return Promise.all([
+        loadGrid('grids/run.png', {width: 96, height: 40}, {columns: 4}),
+        loadGrid('grids/fly.png', {width: 90, height: 24}, {cellWidth: 30})
+    ]).then(function (results) {
+        assert.deepStrictEqual(results[0], {run_0: [0, 0, 24, 40], run_1: [24, 0, 24, 40], run_2: [48, 0, 24, 40], run_3: [72, 0, 24, 40]});
+        assert.deepStrictEqual(results[1], {fly_0: [0, 0, 30, 24], fly_1: [30, 0, 30, 24], fly_2: [60, 0, 30, 24]});
+    });
+});
+
+
+test('names and caches the frames of grids in other directories apart', function () {
+    return Promise.all([
+        loadGrid('1x/grids/hero.png', {width: 20, height: 10}, {columns: 2}),
+        loadGrid('2x/grids/hero.png', {width: 40, height: 20}, {columns: 2})
+    ]).then(function (results) {
+        assert.deepStrictEqual(results[0].hero_1, [10, 0, 10, 10]);
+        assert.deepStrictEqual(results[1].hero_1, [20, 0, 20, 20]);
+        assert.strictEqual(cache.atlases()['2x/grids/hero.png'].frames.hero_1.image, '2x/grids/hero.png');
+        assert.strictEqual(cache.image('2x/grids/hero.png').width, 40);
+    });
+});
+
+
+/**
+ * Create a XML element stub with the attributes the Starling parser reads
+ *
+ * @param name {string} The node name
+ * @param attributes {object} The attributes
+ * @param children {Array} Optional: The SubTexture elements
+ * @returns {object}
+ */
+function createElement(name, attributes, children) {
+    return {
+        nodeName: name,
+        getAttribute: function (attribute) {
+            return attributes.hasOwnProperty(attribute) ? attributes[attribute] : null;
+        },
+        getElementsByTagName: function () {
+            return children || [];
+        }
+    };
+}
+
+
+test('parses the frames of a TexturePacker JSON hash', function () {
+    var atlas = cache.parse({
+        frames: {
+            'run_01.png': {
+                frame: {x: 2, y: 4, w: 20, h: 10},
+                rotated: true,
+                trimmed: true,
+                spriteSourceSize: {x: 1, y: 2, w: 20, h: 10},
+                sourceSize: {w: 24, h: 14},
+                pivot: {x: 0.5, y: 1}
+            },
+            'run_02.png': {frame: {x: 30, y: 0, w: 8, h: 8}}
+        },
+        meta: {image: 'run.png', scale: 0.5}
+    });
+
+    assert.strictEqual(atlas.format, 'json-hash');
+    assert.deepStrictEqual(atlas.meta, {image: 'run.png', images: ['run.png'], scale: 0.5});
+    assert.deepStrictEqual(atlas.frames['run_01.png'], {
+        frame: {x: 2, y: 4, w: 20, h: 10},
+        rotated: true,
+        trimmed: true,
+        spriteSourceSize: {x: 1, y: 2, w: 20, h: 10},
+        sourceSize: {w: 24, h: 14},
+        pivot: {x: 0.5, y: 1},
+        image: 'run.png'
+    });
+    assert.deepStrictEqual(atlas.frames['run_02.png'], {
+        frame: {x: 30, y: 0, w: 8, h: 8},
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: {x: 0, y: 0, w: 8, h: 8},
+        sourceSize: {w: 8, h: 8},
+        pivot: null,
+        image: 'run.png'
+    });
+});
+
+
+test('parses the frames of a TexturePacker JSON array', function () {
+    var atlas = cache.parse(JSON.stringify({
+        frames: [
+            {filename: 'jump_01.png', frame: {x: 0, y: 0, w: 16, h: 16}, anchor: {x: 0.5, y: 0.5}},
+            {filename: 'jump_02.png', frame: {x: 16, y: 0, w: 16, h: 16}}
+        ],
+        meta: {image: 'jump.png'}
+    }));
+
+    assert.strictEqual(atlas.format, 'json-array');
+    assert.deepStrictEqual(Object.keys(atlas.frames), ['jump_01.png', 'jump_02.png']);
+    assert.deepStrictEqual(atlas.frames['jump_01.png'].pivot, {x: 0.5, y: 0.5});
+    assert.deepStrictEqual(atlas.frames['jump_02.png'].frame, {x: 16, y: 0, w: 16, h: 16});
+    assert.deepStrictEqual(atlas.meta, {image: 'jump.png', images: ['jump.png'], scale: 1});
+});
+
+
+test('parses the frames of a Phaser multiatlas from every texture', function () {
+    var atlas = cache.parse({
+        textures: [
+            {image: 'fx-0.png', scale: 2, frames: [{filename: 'spark_1', frame: {x: 0, y: 0, w: 4, h: 4}}]},
+            {image: 'fx-1.png', frames: [{filename: 'spark_2', frame: {x: 4, y: 0, w: 4, h: 4}}]}
+        ]
+    });
+
+    assert.strictEqual(atlas.format, 'phaser-multiatlas');
+    assert.deepStrictEqual(atlas.meta, {images: ['fx-0.png', 'fx-1.png'], image: 'fx-0.png', scale: 2});
+    assert.strictEqual(atlas.frames.spark_1.image, 'fx-0.png');
+    assert.strictEqual(atlas.frames.spark_2.image, 'fx-1.png');
+});
+
+
+test('parses the SubTextures of a Starling XML atlas', function () {
+    var atlas = cache.parse({
+        documentElement: createElement('TextureAtlas', {imagePath: 'sheet.png'}, [
+            createElement('SubTexture', {name: 'idle_1', x: '2', y: '4', width: '10', height: '20', rotated: 'true', frameX: '-1', frameY: '-2', frameWidth: '22', frameHeight: '14', pivotX: '11', pivotY: '14'}),
+            createElement('SubTexture', {name: 'idle_2', x: '12', y: '4', width: '10', height: '20'})
+        ])
+    });
+
+    assert.strictEqual(atlas.format, 'starling-xml');
+    assert.deepStrictEqual(atlas.frames.idle_1, {
+        frame: {x: 2, y: 4, w: 20, h: 10},
+        rotated: true,
+        trimmed: true,
+        spriteSourceSize: {x: 1, y: 2, w: 20, h: 10},
+        sourceSize: {w: 22, h: 14},
+        pivot: {x: 0.5, y: 1},
+        image: 'sheet.png'
+    });
+    assert.deepStrictEqual(atlas.frames.idle_2.frame, {x: 12, y: 4, w: 10, h: 20});
+    assert.strictEqual(atlas.frames.idle_2.trimmed, false);
+    assert.deepStrictEqual(atlas.frames.idle_2.sourceSize, {w: 10, h: 20});
+});
+
+
+test('parses the frames, durations and tags of a Aseprite atlas in order', function () {
+    var atlas = cache.parse({
+        frames: [
+            {filename: 'slime 0.aseprite', frame: {x: 0, y: 0, w: 8, h: 8}, duration: 100},
+            {filename: 'slime 1.aseprite', frame: {x: 8, y: 0, w: 8, h: 8}, duration: 250}
+        ],
+        meta: {app: 'http://www.aseprite.org/', image: 'slime.png', frameTags: [{name: 'bounce', from: 0, to: 1, direction: 'pingpong'}]}
+    });
+
+    assert.strictEqual(atlas.format, 'aseprite');
+    assert.deepStrictEqual(atlas.meta.frameNames, ['slime 0.aseprite', 'slime 1.aseprite']);
+    assert.deepStrictEqual(atlas.meta.frameTags, [{name: 'bounce', from: 0, to: 1, direction: 'pingpong'}]);
+    assert.strictEqual(atlas.frames['slime 1.aseprite'].duration, 250);
+});
+
+
+test('parses with the format that is passed and fails without a parser', function () {
+    assert.strictEqual(cache.parse({frames: [], meta: {app: 'aseprite'}}, 'json-array').format, 'json-array');
+    assert.throws(function () {
+        cache.parse({sprites: []}, undefined, 'unknown.json');
+    }, /No atlas parser found for unknown\.json/);
+});
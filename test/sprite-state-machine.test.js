@@ -0,0 +1,157 @@
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    SpriteAnimation = require('..');
+
+
+/**
+ * A sprite stub, records the sequences the state machine plays
+ */
+function createSprite() {
+    var emitter = new SpriteAnimation.SpriteEventEmitter(),
+        sequences = [];
+
+    return {
+        sequences: sequences,
+
+        sequence: function (steps) {
+            sequences.push(steps.map(function (step) {
+                return step.animation;
+            }));
+        },
+
+        on: function (event, listener) {
+            emitter.on(event, listener);
+        },
+
+        off: function (event, listener) {
+            emitter.off(event, listener);
+        },
+
+        emit: function (event, args) {
+            emitter.trigger(event, args);
+        }
+    };
+}
+
+
+function createMachine(sprite) {
+    return new SpriteAnimation.SpriteStateMachine(sprite, {
+        initial: 'idle',
+        states: {
+            idle: {animation: 'idle', exitFrames: [0]},
+            hover: {animation: 'hover'},
+            click: {animation: 'click', loop: false, next: 'idle'},
+            sleep: {animation: 'sleep', loop: false, next: 'idle'}
+        },
+        transitions: [
+            {from: 'idle', to: 'hover', trigger: 'over', animation: 'idle-hover'},
+            {from: 'hover', to: 'click', trigger: 'press', condition: function (data) {
+                return data && data.ok;
+            }},
+            {from: 'idle', to: 'sleep', trigger: 'doze'},
+            {from: 'sleep', to: 'idle', condition: function () {
+                return false;
+            }},
+            {from: ['hover', 'click'], to: 'idle', trigger: 'out'}
+        ]
+    });
+}
+
+
+test('starts in the initial state and plays its animation', function () {
+    var sprite = createSprite(),
+        machine = createMachine(sprite);
+
+    assert.strictEqual(machine.state(), 'idle');
+    assert.deepStrictEqual(sprite.sequences, [['idle']]);
+});
+
+
+test('waits for a exit frame before the transition and plays the transition clip', function () {
+    var sprite = createSprite(),
+        machine = createMachine(sprite),
+        changes = [];
+
+    machine.on('sprite-state-machine:change', function (event, to, from) {
+        changes.push(from + '>' + to);
+    });
+
+    assert.strictEqual(machine.trigger('over'), true);
+    assert.strictEqual(machine.state(), 'idle');
+
+    sprite.emit('sprite-animation:frame', ['idle', 3]);
+    assert.strictEqual(machine.state(), 'idle');
+
+    sprite.emit('sprite-animation:frame', ['idle', 0]);
+    assert.strictEqual(machine.state(), 'hover');
+    assert.deepStrictEqual(sprite.sequences[1], ['idle-hover', 'hover']);
+    assert.deepStrictEqual(changes, []);
+
+    sprite.emit('sprite-animation:animation-done', ['idle-hover']);
+    assert.deepStrictEqual(changes, ['idle>hover']);
+});
+
+
+test('guards transitions with their condition', function () {
+    var sprite = createSprite(),
+        machine = createMachine(sprite);
+
+    machine.trigger('over');
+    sprite.emit('sprite-animation:frame', ['idle', 0]);
+    sprite.emit('sprite-animation:animation-done', ['idle-hover']);
+
+    assert.strictEqual(machine.can('press', {ok: false}), false);
+    assert.strictEqual(machine.trigger('press', {ok: false}), false);
+    assert.strictEqual(machine.setState('click', {ok: false}), false);
+    assert.strictEqual(machine.state(), 'hover');
+
+    assert.strictEqual(machine.trigger('press', {ok: true}), true);
+    assert.strictEqual(machine.state(), 'click');
+});
+
+
+test('continues to the next state when a state is done', function () {
+    var sprite = createSprite(),
+        machine = createMachine(sprite);
+
+    machine.setState('hover');
+    sprite.emit('sprite-animation:frame', ['idle', 0]);
+    machine.setState('click', {ok: true});
+    sprite.emit('sprite-animation:animation-done', ['click']);
+
+    assert.strictEqual(machine.state(), 'idle');
+    assert.deepStrictEqual(sprite.sequences[sprite.sequences.length - 1], ['idle']);
+});
+
+
+test('does not continue to the next state when the transition condition fails', function () {
+    var sprite = createSprite(),
+        machine = createMachine(sprite),
+        done = [];
+
+    machine.on('sprite-state-machine:state-done', function (event, state) {
+        done.push(state);
+    });
+
+    machine.trigger('doze');
+    sprite.emit('sprite-animation:frame', ['idle', 0]);
+    assert.strictEqual(machine.state(), 'sleep');
+
+    sprite.emit('sprite-animation:animation-done', ['sleep']);
+    assert.deepStrictEqual(done, ['sleep']);
+    assert.strictEqual(machine.state(), 'sleep');
+});
+
+
+test('stops following the sprite when disposed', function () {
+    var sprite = createSprite(),
+        machine = createMachine(sprite);
+
+    machine.trigger('over');
+    machine.dispose();
+    sprite.emit('sprite-animation:frame', ['idle', 0]);
+
+    assert.strictEqual(machine.state(), 'idle');
+});
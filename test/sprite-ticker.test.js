@@ -0,0 +1,255 @@
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    SpriteAnimation = require('..');
+
+
+var ticker = SpriteAnimation.SpriteTicker.getInstance(),
+    time = 0,
+    requests = [],
+    clock = {
+        now: function () {
+            return time;
+        },
+
+        request: function (callback) {
+            requests.push(callback);
+            return requests.length;
+        },
+
+        cancel: function (handle) {
+            requests[handle - 1] = null;
+        }
+    },
+    atlas = {
+        frames: {
+            'walk_01.png': {frame: {x: 0, y: 0, w: 10, h: 10}},
+            'walk_02.png': {frame: {x: 10, y: 0, w: 10, h: 10}},
+            'walk_03.png': {frame: {x: 20, y: 0, w: 10, h: 10}}
+        },
+        meta: {image: 'walk.png'}
+    },
+    drawn = [];
+
+
+/**
+ * Call the pending frame request of the fake clock after advancing the time
+ *
+ * @param delta {number} The elapsed time in ms
+ */
+function advance(delta) {
+    var callback = requests[requests.length - 1];
+
+    time += delta;
+    requests = [];
+
+    if (callback) {
+        callback(time);
+    }
+}
+
+
+SpriteAnimation.SpriteEnvironment.getInstance().configure({
+    canvasSupported: function () {
+        return true;
+    },
+
+    createCanvas: function (width, height) {
+        return {
+            width: width,
+            height: height,
+            getContext: function () {
+                return {
+                    setTransform: function () {},
+                    clearRect: function () {},
+                    translate: function () {},
+                    rotate: function () {},
+                    scale: function () {},
+                    save: function () {},
+                    restore: function () {},
+                    drawImage: function (image, x) {
+                        drawn.push(x);
+                    }
+                };
+            }
+        };
+    },
+
+    fetch: function (url, options, callback) {
+        setImmediate(callback, null, JSON.stringify(atlas));
+    },
+
+    loadImage: function (url, callback) {
+        setImmediate(callback, null, {width: 30, height: 10, src: url});
+    }
+});
+
+ticker.setClock(clock);
+
+
+test('notifies the listeners with the elapsed time on every frame of the clock', function () {
+    var ticks = [],
+        listener = function (now, delta) {
+            ticks.push([now, delta]);
+        };
+
+    ticker.add(listener);
+    advance(16);
+    advance(20);
+    ticker.remove(listener);
+
+    assert.deepStrictEqual(ticks, [[16, 16], [36, 20]]);
+    assert.strictEqual(requests.filter(Boolean).length, 0);
+});
+
+
+test('caps the elapsed time by the max delta', function () {
+    var deltas = [],
+        listener = function (now, delta) {
+            deltas.push(delta);
+        };
+
+    ticker.setMaxDelta(100);
+    ticker.add(listener);
+    advance(5000);
+    ticker.step(30);
+    ticker.remove(listener);
+    ticker.setMaxDelta(1000);
+
+    assert.deepStrictEqual(deltas, [100, 30]);
+});
+
+
+test('advances the frames of a sprite by the time of the clock', function () {
+    var sprite = new SpriteAnimation(null);
+
+    return sprite.load('walk.json').then(function () {
+        var frames = [];
+
+        sprite.addAnimation('walk', 'walk_%%.png', '%', 1, 10);
+        sprite.on('sprite-animation:frame', function (event, animation, frame) {
+            frames.push(frame);
+        });
+
+        sprite.play('walk', true);
+        advance(50);
+        assert.deepStrictEqual(frames, [0]);
+
+        advance(50);
+        assert.deepStrictEqual(frames, [0, 1]);
+
+        // A stall skips the frames the elapsed time covers, the loop starts over
+        advance(200);
+        assert.deepStrictEqual(frames, [0, 1, 0]);
+        assert.deepStrictEqual(drawn, [0, 10, 0]);
+
+        sprite.dispose();
+    });
+});
+
+
+/**
+ * Load a sprite with the walk animation and record the frames it shows
+ *
+ * @returns {Promise} Resolves with the sprite and the frame numbers it shows
+ */
+function createWalker() {
+    var sprite = new SpriteAnimation(null),
+        frames = [];
+
+    return sprite.load('walk.json').then(function () {
+        sprite.addAnimation('walk', 'walk_%%.png', '%', 1, 10);
+        sprite.on('sprite-animation:frame', function (event, animation, frame) {
+            frames.push(frame);
+        });
+
+        return {sprite: sprite, frames: frames};
+    });
+}
+
+
+/**
+ * Advance the fake clock a number of times
+ *
+ * @param count {number}
+ * @param delta {number} The elapsed time of every step in ms
+ */
+function advanceBy(count, delta) {
+    var index;
+
+    for (index = 0; index < count; index += 1) {
+        advance(delta);
+    }
+}
+
+
+test('plays faster with a higher playback rate', function () {
+    return createWalker().then(function (walker) {
+        walker.sprite.play('walk', true, undefined, undefined, {playbackRate: 2});
+        advanceBy(4, 50);
+
+        assert.deepStrictEqual(walker.frames, [0, 1, 2, 0, 1]);
+        walker.sprite.dispose();
+    });
+});
+
+
+test('plays in reverse with a negative playback rate', function () {
+    return createWalker().then(function (walker) {
+        walker.sprite.play('walk', true, undefined, undefined, {playbackRate: -1});
+        advanceBy(5, 100);
+
+        assert.deepStrictEqual(walker.frames, [2, 1, 0, 2, 1, 0]);
+        walker.sprite.dispose();
+    });
+});
+
+
+test('turns around at the end of every loop with yoyo', function () {
+    return createWalker().then(function (walker) {
+        var done = walker.sprite.play('walk', 2, undefined, undefined, {yoyo: true});
+
+        advanceBy(8, 100);
+        assert.deepStrictEqual(walker.frames, [0, 1, 2, 1, 0]);
+
+        return done.then(function (result) {
+            assert.strictEqual(result.completed, true);
+            walker.sprite.dispose();
+        });
+    });
+});
+
+
+test('settles play() when the animation is done, stopped or replaced', function () {
+    return createWalker().then(function (walker) {
+        var sprite = walker.sprite,
+            done = sprite.play('walk', false),
+            stopped,
+            replaced;
+
+        advanceBy(3, 100);
+
+        return done.then(function (result) {
+            assert.strictEqual(result.animation, 'walk');
+            assert.strictEqual(result.completed, true);
+            assert.strictEqual(result.reason, undefined);
+
+            stopped = sprite.play('walk', true);
+            advance(100);
+            sprite.stop();
+
+            return stopped;
+        }).then(function (result) {
+            assert.deepStrictEqual(result, {animation: 'walk', completed: false, reason: 'stop'});
+
+            replaced = sprite.play('walk', true);
+            sprite.play('walk', true, undefined, undefined, {playbackRate: -1});
+
+            return replaced;
+        }).then(function (result) {
+            assert.deepStrictEqual(result, {animation: 'walk', completed: false, reason: 'play'});
+            sprite.dispose();
+        });
+    });
+});